@@ -0,0 +1,100 @@
+const { existsSync, readFileSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync } = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_FILE = process.env.HISTORY_FILE || path.join(__dirname, "history.jsonl");
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+function ensureDir(dir) {
+	try {
+		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	} catch (e) {
+		// ignore
+	}
+}
+
+// Append-only audit log of processed messages, one JSON entry per line:
+// { time, account, source_id, outcome: 'imported'|'duplicate'|'dropped'|'oversized'|'quarantined'|'discarded'|'failed', message_id,
+//   from, subject, date, size, gmail_id, labels, scan, error }
+// Entries older than the retention are dropped on startup and once a day.
+class AuditLog {
+	constructor(filePath, retentionDays) {
+		this.filePath = filePath || DEFAULT_FILE;
+		this.retentionMs = Number(retentionDays || DEFAULT_RETENTION_DAYS) * DAY;
+		ensureDir(path.dirname(this.filePath));
+		this._entries = [];
+		this._load();
+		this._compact();
+	}
+
+	_load() {
+		if (!existsSync(this.filePath)) return;
+		for (const line of readFileSync(this.filePath, "utf8").split("\n")) {
+			if (!line.trim()) continue;
+			try {
+				this._entries.push(JSON.parse(line));
+			} catch (e) {
+				// a torn last line after a crash, skip it
+			}
+		}
+	}
+
+	// drop expired entries and rewrite the file atomically
+	_compact() {
+		const cutoff = Date.now() - this.retentionMs;
+		this._entries = this._entries.filter((e) => e.time >= cutoff);
+		if (this._fd !== undefined) closeSync(this._fd);
+		const tmp = this.filePath + ".tmp";
+		const fd = openSync(tmp, "w");
+		try {
+			for (const e of this._entries) writeSync(fd, JSON.stringify(e) + "\n");
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, this.filePath);
+		this._fd = openSync(this.filePath, "a");
+		this._compactedAt = Date.now();
+	}
+
+	record(entry) {
+		const e = { time: Date.now(), ...entry };
+		writeSync(this._fd, JSON.stringify(e) + "\n");
+		this._entries.push(e);
+		if (Date.now() - this._compactedAt >= DAY) this._compact();
+		return e;
+	}
+
+	// filter: { account, outcome, from, to (ms), q (text), limit, offset }; newest first
+	query(filter) {
+		const f = filter || {};
+		const q = f.q ? String(f.q).toLowerCase() : null;
+		const matches = [];
+		for (let i = this._entries.length - 1; i >= 0; i--) {
+			const e = this._entries[i];
+			if (f.account && e.account !== f.account) continue;
+			if (f.outcome && e.outcome !== f.outcome) continue;
+			if (f.from && e.time < f.from) continue;
+			if (f.to && e.time >= f.to) continue;
+			if (q && ![e.message_id, e.from, e.subject, e.gmail_id, e.error].some((v) => v && String(v).toLowerCase().includes(q))) continue;
+			matches.push(e);
+		}
+		const offset = Math.max(0, Number(f.offset || 0));
+		const limit = Math.max(1, Number(f.limit || 100));
+		return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+	}
+
+	accounts() {
+		return [...new Set(this._entries.map((e) => e.account))];
+	}
+
+	close() {
+		try {
+			closeSync(this._fd);
+		} catch (e) {
+			// ignore
+		}
+	}
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,85 @@
+// --- Server-side SVG charts for the status page ---
+// Plain SVG strings, so the page needs no chart library and works offline.
+// Hovering a bar or run shows its details through <title>.
+
+function esc(v) {
+	return String(v === null || v === undefined ? "" : v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function formatTime(t, hourly) {
+	const d = new Date(t);
+	const pad = (n) => String(n).padStart(2, "0");
+	const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+	return hourly ? `${day} ${pad(d.getHours())}:00` : day;
+}
+
+function formatDuration(ms) {
+	const s = Math.round(ms / 1000);
+	if (s < 60) return `${s}s`;
+	if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+	return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+// series: [{ time, imports, failures }] from StatsStore.getSeries; imports as
+// blue bars with failures overlaid in red
+function importChart(series, opts) {
+	const o = { width: 720, height: 160, hourly: false, ...opts };
+	const left = 36;
+	const bottom = 20;
+	const top = 8;
+	const plotW = o.width - left - 4;
+	const plotH = o.height - bottom - top;
+	const max = Math.max(1, ...series.map((p) => Math.max(p.imports, p.failures || 0)));
+	const slot = plotW / Math.max(1, series.length);
+	const barW = Math.max(1, slot * 0.8);
+	const y = (v) => top + plotH - (v / max) * plotH;
+	let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${o.width}" height="${o.height}" viewBox="0 0 ${o.width} ${o.height}" font-family="sans-serif" font-size="10">`;
+	svg += `<line x1="${left}" y1="${top + plotH}" x2="${o.width - 4}" y2="${top + plotH}" stroke="#999"/>`;
+	svg += `<text x="${left - 4}" y="${top + 8}" text-anchor="end" fill="#666">${max}</text><text x="${left - 4}" y="${top + plotH}" text-anchor="end" fill="#666">0</text>`;
+	series.forEach((p, i) => {
+		const x = left + i * slot + (slot - barW) / 2;
+		const label = `${formatTime(p.time, o.hourly)}: ${p.imports} imported` + (p.failures ? `, ${p.failures} failed` : "");
+		svg += `<g><title>${esc(label)}</title>`;
+		svg += `<rect x="${x.toFixed(1)}" y="${top}" width="${barW.toFixed(1)}" height="${plotH}" fill="transparent"/>`;
+		if (p.imports) svg += `<rect x="${x.toFixed(1)}" y="${y(p.imports).toFixed(1)}" width="${barW.toFixed(1)}" height="${(top + plotH - y(p.imports)).toFixed(1)}" fill="#0d6efd"/>`;
+		if (p.failures) svg += `<rect x="${(x + barW / 4).toFixed(1)}" y="${y(p.failures).toFixed(1)}" width="${(barW / 2).toFixed(1)}" height="${(top + plotH - y(p.failures)).toFixed(1)}" fill="#dc3545"/>`;
+		svg += `</g>`;
+	});
+	// first, middle and last time as x labels
+	const ticks = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])].filter((i) => i >= 0);
+	for (const i of ticks) {
+		const anchor = i === 0 ? "start" : i === series.length - 1 ? "end" : "middle";
+		const x = i === 0 ? left : i === series.length - 1 ? o.width - 4 : left + (i + 0.5) * slot;
+		svg += `<text x="${x.toFixed(1)}" y="${o.height - 6}" text-anchor="${anchor}" fill="#666">${esc(formatTime(series[i].time, o.hourly))}</text>`;
+	}
+	return svg + `</svg>`;
+}
+
+const RUN_COLORS = { success: "#198754", fail: "#dc3545", started: "#0d6efd", interrupted: "#6c757d" };
+
+// runs: [{ start, end, status, message }] from StatsStore.getRuns, drawn between from and to
+function syncTimeline(runs, from, to, opts) {
+	const o = { width: 720, height: 34, ...opts };
+	const left = 36;
+	const plotW = o.width - left - 4;
+	const x = (t) => left + ((Math.min(Math.max(t, from), to) - from) / (to - from)) * plotW;
+	let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${o.width}" height="${o.height}" viewBox="0 0 ${o.width} ${o.height}" font-family="sans-serif" font-size="10">`;
+	svg += `<text x="${left - 4}" y="14" text-anchor="end" fill="#666">runs</text>`;
+	svg += `<rect x="${left}" y="4" width="${plotW}" height="14" fill="#f1f3f5"/>`;
+	for (const r of runs) {
+		const end = r.end === null ? Date.now() : r.end;
+		const x1 = x(r.start);
+		const w = Math.max(2, x(end) - x1);
+		const label = `${new Date(r.start).toLocaleString()}: ${r.status}, ${formatDuration(end - r.start)}` + (r.message ? ` - ${r.message}` : "");
+		svg += `<rect x="${x1.toFixed(1)}" y="4" width="${w.toFixed(1)}" height="14" fill="${RUN_COLORS[r.status] || "#6c757d"}"><title>${esc(label)}</title></rect>`;
+	}
+	svg += `<text x="${left}" y="${o.height - 4}" fill="#666">${esc(new Date(from).toLocaleString())}</text>`;
+	svg += `<text x="${o.width - 4}" y="${o.height - 4}" text-anchor="end" fill="#666">${esc(new Date(to).toLocaleString())}</text>`;
+	return svg + `</svg>`;
+}
+
+module.exports = {
+	importChart,
+	syncTimeline,
+	formatDuration,
+};
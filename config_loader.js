@@ -0,0 +1,128 @@
+const { readFileSync, watch } = require("node:fs");
+const path = require("node:path");
+const { parseDocument, LineCounter, isMap, isSeq } = require("yaml");
+const { SCHEMA, validateConfig, formatPath } = require("./config_validate.js");
+const { resolveSecrets } = require("./secrets.js");
+
+// --- Loading and watching the config file ---
+
+// problems: ["line 12: accounts[0].pasword: unknown setting, did you mean \"password\"?", ...]
+class ConfigError extends Error {
+	constructor(file, problems) {
+		super(`${file}: ${problems.join("; ")}`);
+		this.name = "ConfigError";
+		this.file = file;
+		this.problems = problems;
+	}
+}
+
+// line of the value at path, or of the nearest parent that exists
+function lineOf(doc, lineCounter, keys) {
+	let node = doc.contents;
+	let offset = node && node.range ? node.range[0] : 0;
+	for (const key of keys) {
+		if (isMap(node)) {
+			const pair = node.items.find((p) => p.key && (p.key.value === undefined ? p.key : p.key.value) === key);
+			if (!pair) break;
+			if (pair.key.range) offset = pair.key.range[0];
+			node = pair.value;
+		} else if (isSeq(node)) {
+			node = node.items[key];
+			if (node && node.range) offset = node.range[0];
+		} else {
+			break;
+		}
+	}
+	return lineCounter.linePos(offset).line;
+}
+
+function parseConfig(text, file) {
+	const lineCounter = new LineCounter();
+	const doc = parseDocument(text, { lineCounter });
+	// YAML syntax errors already carry the line and column
+	if (doc.errors.length) throw new ConfigError(file, doc.errors.map((e) => e.message.split("\n")[0].replace(/:$/, "")));
+	const cfg = doc.toJS();
+	// sanity defaults
+	if (cfg && typeof cfg === "object" && !cfg.gmail) {
+		cfg.gmail = {
+			client_secrets_file: "credentials.json",
+			token_file: "token.json",
+		};
+	}
+	const fail = (errors) => {
+		throw new ConfigError(file, errors.map((e) => {
+			const where = formatPath(cfg, e.path);
+			return `line ${lineOf(doc, lineCounter, e.path)}: ${where ? where + ": " : ""}${e.message}`;
+		}));
+	};
+	// ${ENV}, ${file:...}, ${secret:...} and password_file
+	const secretErrors = resolveSecrets(cfg, SCHEMA);
+	if (secretErrors.length) fail(secretErrors);
+	const errors = validateConfig(cfg);
+	if (errors.length) fail(errors);
+	return cfg;
+}
+
+// parse and validate, throws ConfigError
+function loadConfig(fp) {
+	return parseConfig(readFileSync(fp, "utf8"), fp);
+}
+
+// Reloads the config when the file changes and hands it to onChange(cfg, old).
+// An invalid edit keeps the last good config running; its problems are kept in
+// `error` ({ time, problems }) until the file is fixed.
+class ConfigWatcher {
+	constructor(filePath, cfg, { logger, onChange }) {
+		this.filePath = path.resolve(filePath);
+		this.config = cfg;
+		this.error = null;
+		this.logger = logger;
+		this.onChange = onChange;
+		this._text = readFileSync(this.filePath, "utf8");
+		this._timer = null;
+		// the directory is watched because editors replace the file rather than write to it
+		this._watcher = watch(path.dirname(this.filePath), (event, name) => {
+			if (name && name !== path.basename(this.filePath)) return;
+			clearTimeout(this._timer);
+			this._timer = setTimeout(() => this.reload(), 500);
+		});
+		this._watcher.on("error", (err) => this.logger.warn(`Watching ${this.filePath} failed, config changes need a restart: ${err.message || err}`));
+	}
+
+	reload() {
+		let text;
+		try {
+			text = readFileSync(this.filePath, "utf8");
+		} catch (err) {
+			// removed while being replaced, the next event brings the new file
+			if (err.code !== "ENOENT") this.logger.warn(`Reading ${this.filePath} failed: ${err.message || err}`);
+			return;
+		}
+		if (text === this._text) return;
+		this._text = text;
+		let cfg;
+		try {
+			cfg = parseConfig(text, this.filePath);
+		} catch (err) {
+			this.error = { time: Date.now(), problems: err.problems || [err.message || String(err)] };
+			this.logger.error(`Config ${this.filePath} has errors, keeping the last good config: ${this.error.problems.join("; ")}`);
+			return;
+		}
+		const old = this.config;
+		this.config = cfg;
+		this.error = null;
+		this.logger.info(`Config ${this.filePath} reloaded`);
+		this.onChange(cfg, old);
+	}
+
+	close() {
+		clearTimeout(this._timer);
+		this._watcher.close();
+	}
+}
+
+module.exports = {
+	ConfigError,
+	loadConfig,
+	ConfigWatcher,
+};
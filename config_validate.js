@@ -0,0 +1,365 @@
+const { existsSync } = require("node:fs");
+const { resolveTlsMode } = require("./pop3_functions.js");
+const { AFTER_IMPORT } = require("./imap_functions.js");
+const { compileRules } = require("./rules.js");
+const { TRANSFORMS, compileTransforms } = require("./transforms.js");
+const { parseCron } = require("./scheduler.js");
+const { createStatusAuth, parsePasswordHash } = require("./status_auth.js");
+const { Notifier } = require("./notifier.js");
+const { cipherFromConfig } = require("./secrets.js");
+const { FORMATS: ARCHIVE_FORMATS } = require("./message_archive.js");
+const { SCAN_TYPES, Scanner } = require("./scanner.js");
+
+// --- Config schema and checks ---
+// The schema catches typos and wrong types (`pasword`, `port: "995"`), the
+// checks after it everything that would otherwise only fail once an account
+// runs. Problems are { path, message }; path is the list of keys and indexes
+// leading to the value, used to find its line in the YAML file.
+
+const PROTOCOLS = ["pop3", "imap"];
+const OVERSIZED_ACTIONS = ["leave", "skip", "archive"];
+const quiet = { info() {}, warn() {}, error() {} };
+
+// schema nodes: { type, keys, values, items, required, enum, min, max }
+// type is one of string, number, integer, boolean, object, array or a list of those;
+// `keys` lists the allowed keys of an object, `values` the schema of a free-form map
+const str = { type: "string" };
+const bool = { type: "boolean" };
+const minutes = { type: "number", min: 0, exclusiveMin: true };
+const days = { type: "number", min: 0 };
+const port = { type: "integer", min: 1, max: 65535 };
+const strings = { type: "array", items: str };
+
+const RULE = {
+	type: "object",
+	required: ["match"],
+	keys: {
+		name: str,
+		match: {
+			type: "object",
+			keys: {
+				from: str,
+				to: str,
+				cc: str,
+				subject: str,
+				list_id: str,
+				headers: { type: "object", values: str },
+				size_over: { type: "number", min: 0 },
+				size_under: { type: "number", min: 0 },
+			},
+		},
+		labels: { type: ["string", "array"], items: str },
+		label: str,
+		skip_inbox: bool,
+		mark_read: bool,
+		star: bool,
+		important: bool,
+		drop: bool,
+		stop: bool,
+	},
+};
+
+// a transform name, or { name, ...options }
+const TRANSFORM = {
+	type: ["string", "object"],
+	required: ["name"],
+	keys: {
+		name: { type: "string", enum: TRANSFORMS },
+		charset: str,
+		delivered_to: { type: ["string", "boolean"] },
+		headers: strings,
+		text: str,
+		pattern: str,
+	},
+};
+
+const ACCOUNT = {
+	type: "object",
+	required: ["name", "server", "username"],
+	keys: {
+		name: str,
+		protocol: { type: "string", enum: PROTOCOLS },
+		server: str,
+		port,
+		username: str,
+		password: str,
+		password_file: str,
+		auth: { type: "string", enum: ["user", "apop", "plain", "cram-md5", "xoauth2", "auto"], ignoreCase: true },
+		oauth2: {
+			type: "object",
+			keys: { client_id: str, client_secret: str, token_url: str, token_file: str },
+		},
+		tls_mode: { type: "string", enum: ["implicit", "starttls", "none"] },
+		tls: bool,
+		ssl: bool,
+		ca_file: str,
+		servername: str,
+		tls_fingerprint: str,
+		insecure_skip_verify: bool,
+		timeout_ms: { type: "integer", min: 1 },
+		label: str,
+		leave_on_server: bool,
+		delete_after_days: days,
+		rules: { type: "array", items: RULE },
+		transforms: { type: "array", items: TRANSFORM },
+		interval_minutes: minutes,
+		cron: str,
+		dry_run: bool,
+		folders: { type: "array", items: { type: ["string", "object"], required: ["name"], keys: { name: str, label: str } } },
+		after_import: { type: "string", enum: AFTER_IMPORT },
+		move_to: str,
+		imap_flag: str,
+		max_message_size_mb: { type: "number", min: 0, exclusiveMin: true, max: 50 },
+		oversized_action: { type: "string", enum: OVERSIZED_ACTIONS },
+		scan: {
+			type: "object",
+			required: ["type"],
+			keys: {
+				type: { type: "string", enum: SCAN_TYPES },
+				command: { type: ["string", "array"], items: str },
+				host: str,
+				port,
+				socket: str,
+				user: str,
+				timeout_seconds: { type: "number", min: 0, exclusiveMin: true },
+				max_size_mb: { type: "number", min: 0, exclusiveMin: true },
+				spam_score: { type: "number" },
+				quarantine_score: { type: "number" },
+				flagged: { type: "string", enum: ["spam", "quarantine"] },
+				on_error: { type: "string", enum: ["retry", "import"] },
+			},
+		},
+		archive: {
+			type: ["boolean", "object"],
+			keys: {
+				format: { type: "string", enum: ARCHIVE_FORMATS },
+				path: str,
+				compress: bool,
+				retention_days: days,
+				max_size_mb: { type: "number", min: 0, exclusiveMin: true },
+			},
+		},
+	},
+};
+
+const CHANNEL = {
+	type: "object",
+	required: ["type"],
+	keys: {
+		type: { type: "string", enum: ["webhook", "ntfy", "gotify", "smtp"] },
+		url: str,
+		headers: { type: "object", values: str },
+		token: str,
+		priority: { type: "integer", min: 1, max: 10 },
+		host: str,
+		port,
+		secure: bool,
+		username: str,
+		password: str,
+		password_file: str,
+		from: str,
+		to: { type: ["string", "array"], items: str },
+	},
+};
+
+const SCHEMA = {
+	type: "object",
+	keys: {
+		gmail: {
+			type: "object",
+			keys: {
+				client_secrets_file: str,
+				token_file: str,
+				check_duplicates: bool,
+				apply_filters: bool,
+				filters_refresh_minutes: minutes,
+				labels_refresh_minutes: minutes,
+				quota_units_per_second: { type: "number", min: 0, exclusiveMin: true },
+				max_retries: { type: "integer", min: 0 },
+			},
+		},
+		accounts: { type: "array", items: ACCOUNT },
+		check_interval_minutes: minutes,
+		max_concurrent_accounts: { type: "integer", min: 1 },
+		dry_run: bool,
+		log_dir: str,
+		status_port: port,
+		stats_file: str,
+		uid_file: str,
+		journal_file: str,
+		journal_retention_days: days,
+		history_file: str,
+		history_retention_days: days,
+		encryption: { type: "object", keys: { key: str, key_file: str } },
+		quarantine: { type: "object", keys: { path: str, max_attempts: { type: "integer", min: 0 }, delete_from_server: bool } },
+		status_auth: {
+			type: "object",
+			keys: {
+				mode: { type: "string", enum: ["none", "basic", "bearer", "proxy"] },
+				users: { type: "array", items: { type: "object", required: ["username", "password_hash"], keys: { username: str, password_hash: str } } },
+				token: str,
+				proxy: { type: "object", keys: { header: str, trusted_ips: strings } },
+			},
+		},
+		notifications: {
+			type: "object",
+			keys: {
+				consecutive_failures: { type: "integer", min: 1 },
+				message_failures: { type: "integer", min: 1 },
+				repeat_hours: { type: "number", min: 0 },
+				channels: { type: "array", items: CHANNEL },
+			},
+		},
+	},
+};
+
+function typeOf(v) {
+	if (Array.isArray(v)) return "array";
+	if (v === null) return "null";
+	if (typeof v === "number" && Number.isInteger(v)) return "integer";
+	return typeof v;
+}
+
+function typeMatches(type, actual) {
+	return type === actual || (type === "number" && actual === "integer");
+}
+
+// edit distance, for "did you mean" hints on unknown keys
+function distance(a, b) {
+	const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+	for (let j = 1; j <= b.length; j++) d[0][j] = j;
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+	}
+	return d[a.length][b.length];
+}
+
+function checkSchema(schema, value, path, errors) {
+	const types = [].concat(schema.type);
+	const actual = typeOf(value);
+	if (!types.some((t) => typeMatches(t, actual))) {
+		const hint = types.includes("string") && (actual === "integer" || actual === "number") ? ", put the value in quotes" : "";
+		errors.push({ path, message: `must be ${types.map((t) => (t === "integer" || t === "array" ? "an " : "a ") + t).join(" or ")}, not ${actual === "object" ? "a mapping" : actual === "array" ? "a list" : JSON.stringify(value)}${hint}` });
+		return;
+	}
+	if (schema.enum) {
+		const v = schema.ignoreCase ? String(value).toLowerCase() : value;
+		if (!schema.enum.includes(v)) errors.push({ path, message: `invalid value ${JSON.stringify(value)}, expected one of ${schema.enum.join(", ")}` });
+	}
+	if (actual === "integer" || actual === "number") {
+		if (schema.min !== undefined && (value < schema.min || (schema.exclusiveMin && value === schema.min))) {
+			errors.push({ path, message: `must be ${schema.exclusiveMin ? "greater than" : "at least"} ${schema.min}` });
+		}
+		if (schema.max !== undefined && value > schema.max) errors.push({ path, message: `must be at most ${schema.max}` });
+	}
+	if (actual === "array" && schema.items) value.forEach((item, i) => checkSchema(schema.items, item, [...path, i], errors));
+	if (actual !== "object") return;
+	for (const key of schema.required || []) {
+		if (value[key] === undefined || value[key] === null || value[key] === "") errors.push({ path: [...path, key], message: "is required" });
+	}
+	for (const [key, v] of Object.entries(value)) {
+		const sub = schema.keys ? schema.keys[key] : schema.values;
+		if (!sub) {
+			const known = Object.keys(schema.keys || {});
+			const near = known.filter((k) => distance(k, key) <= 2).sort((a, b) => distance(a, key) - distance(b, key))[0];
+			errors.push({ path: [...path, key], message: `unknown setting` + (near ? `, did you mean "${near}"?` : "") });
+			continue;
+		}
+		// empty values (`label:`) are the same as leaving the key out
+		if (v !== null) checkSchema(sub, v, [...path, key], errors);
+	}
+}
+
+function check(errors, path, fn) {
+	try {
+		fn();
+	} catch (err) {
+		errors.push({ path, message: err.message || String(err) });
+	}
+}
+
+function validateAccount(account, i, names, errors) {
+	const at = (...keys) => ["accounts", i, ...keys];
+	if (!account || typeof account !== "object") return;
+	if (account.name && names.has(account.name)) errors.push({ path: at("name"), message: `duplicate account name "${account.name}"` });
+	names.add(account.name);
+
+	const protocol = account.protocol || "pop3";
+	const xoauth2 = String(account.auth || "").toLowerCase() === "xoauth2";
+	if (!account.password && !xoauth2) errors.push({ path: at("password"), message: "is required" });
+	if ((xoauth2 || account.oauth2) && !(account.oauth2 && account.oauth2.client_id && account.oauth2.token_file)) {
+		errors.push({ path: at("oauth2"), message: "client_id and token_file are required for XOAUTH2" });
+	}
+	if (protocol === "pop3") check(errors, at("tls_mode"), () => resolveTlsMode(account));
+	if (account.ca_file && !existsSync(account.ca_file)) errors.push({ path: at("ca_file"), message: `${account.ca_file} not found` });
+	if (protocol === "imap" && account.after_import === "move" && !account.move_to) {
+		errors.push({ path: at("after_import"), message: "move requires move_to" });
+	}
+	if (account.leave_on_server && protocol !== "pop3") errors.push({ path: at("leave_on_server"), message: "only applies to POP3 accounts" });
+	if (protocol === "imap" && account.tls_fingerprint) errors.push({ path: at("tls_fingerprint"), message: "only applies to POP3 accounts, use ca_file for IMAP" });
+	if (protocol === "imap" && account.delete_after_days && ["move", "delete"].includes(account.after_import)) {
+		errors.push({ path: at("delete_after_days"), message: `does nothing with after_import ${account.after_import}` });
+	}
+	if (account.oversized_action === "archive" && !account.archive) {
+		errors.push({ path: at("oversized_action"), message: "archive requires the account's archive setting" });
+	}
+	if (account.cron) check(errors, at("cron"), () => parseCron(account.cron));
+	check(errors, at("rules"), () => compileRules(account.rules));
+	check(errors, at("transforms"), () => compileTransforms(account.transforms));
+	if (account.scan) check(errors, at("scan"), () => new Scanner(account.scan));
+}
+
+// returns a list of problems { path, message }, empty when the config is fine
+function validateConfig(cfg) {
+	if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) return [{ path: [], message: "config file is empty or not a mapping" }];
+	const errors = [];
+	checkSchema(SCHEMA, cfg, [], errors);
+	// the checks below assume the types are right
+	if (errors.length) return errors;
+
+	const gmail = cfg.gmail || {};
+	if (!gmail.client_secrets_file) errors.push({ path: ["gmail", "client_secrets_file"], message: "is required" });
+	else if (!existsSync(gmail.client_secrets_file)) errors.push({ path: ["gmail", "client_secrets_file"], message: `${gmail.client_secrets_file} not found` });
+	if (!gmail.token_file) errors.push({ path: ["gmail", "token_file"], message: "is required" });
+
+	if (!Array.isArray(cfg.accounts) || cfg.accounts.length === 0) errors.push({ path: ["accounts"], message: "at least one account is required" });
+	else {
+		const names = new Set();
+		cfg.accounts.forEach((account, i) => validateAccount(account, i, names, errors));
+	}
+	const users = (cfg.status_auth && cfg.status_auth.users) || [];
+	const badHashes = users.filter((u, i) => {
+		if (parsePasswordHash(u.password_hash)) return false;
+		errors.push({ path: ["status_auth", "users", i, "password_hash"], message: "is not a scrypt hash, generate one with node status_auth.js '<password>'" });
+		return true;
+	});
+	if (!badHashes.length) check(errors, ["status_auth"], () => createStatusAuth(cfg.status_auth, quiet));
+	check(errors, ["notifications"], () => new Notifier(cfg.notifications, quiet));
+	check(errors, ["encryption"], () => cipherFromConfig(cfg));
+	return errors;
+}
+
+// "accounts[0].password", with the account name when there is one
+function formatPath(cfg, path) {
+	let out = "";
+	let node = cfg;
+	for (const key of path) {
+		if (typeof key === "number") {
+			out += `[${key}]`;
+			node = Array.isArray(node) ? node[key] : undefined;
+			if (out === `accounts[${key}]` && node && node.name) out += ` (${node.name})`;
+		} else {
+			out += (out ? "." : "") + key;
+			node = node && typeof node === "object" ? node[key] : undefined;
+		}
+	}
+	return out;
+}
+
+module.exports = {
+	SCHEMA,
+	validateConfig,
+	formatPath,
+};
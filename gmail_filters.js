@@ -0,0 +1,169 @@
+// --- Local evaluation of the user's Gmail filters ---
+// Messages imported with users.messages.import bypass Gmail filters, so the
+// filters from users.settings.filters.list are evaluated here against the raw
+// message. Only a subset of Gmail's search syntax can be evaluated locally;
+// filters using anything else are reported as unsupported and not applied.
+
+const QUERY_OPERATORS = ["from", "to", "cc", "subject", "list", "deliveredto", "filename", "has", "larger", "smaller"];
+
+class UnsupportedCriteria extends Error {}
+
+function lower(v) {
+	return String(v || "").toLowerCase();
+}
+
+// "10M" / "500K" / "1234" -> bytes
+function parseSize(v) {
+	const m = String(v).trim().match(/^(\d+)\s*([kKmM]?)[bB]?$/);
+	if (!m) throw new UnsupportedCriteria(`size "${v}"`);
+	const mult = { "": 1, k: 1024, m: 1024 * 1024 }[m[2].toLowerCase()];
+	return Number(m[1]) * mult;
+}
+
+// alternatives of a from/to/subject criterion: "a@b.com OR c@d.com" -> ["a@b.com", "c@d.com"]
+function alternatives(value) {
+	if (/[(){}]/.test(value)) throw new UnsupportedCriteria(`grouping in "${value}"`);
+	return value
+		.split(/\s+OR\s+|\s*\|\s*/)
+		.map((v) => lower(v.replace(/^"|"$/g, "").trim()))
+		.filter(Boolean);
+}
+
+// the message as the tests see it: the text (up to the whole message) and the
+// headers are lowercased once, when a filter first needs them
+function prepare(msg) {
+	let text = null;
+	const headers = new Map();
+	return {
+		...msg,
+		lowerText() {
+			if (text === null) text = lower(msg.text);
+			return text;
+		},
+		header(name) {
+			if (!headers.has(name)) headers.set(name, lower((msg.headers[name] || []).join(", ")));
+			return headers.get(name);
+		},
+	};
+}
+
+function hasAttachment(msg) {
+	return /content-disposition:\s*attachment/i.test(msg.text) || /^\s*content-type:[^\r\n]*;\s*name=/im.test(msg.text);
+}
+
+// one term of a query, returns a test function
+function compileTerm(op, value) {
+	const v = lower(value.replace(/^"|"$/g, ""));
+	switch (op) {
+		case "from":
+		case "to":
+		case "cc":
+		case "subject": {
+			const alts = alternatives(value);
+			return (msg) => alts.some((a) => msg.header(op).includes(a));
+		}
+		case "list":
+			return (msg) => msg.header("list-id").includes(v);
+		case "deliveredto":
+			return (msg) => msg.header("delivered-to").includes(v);
+		case "filename":
+			return (msg) => msg.lowerText().includes(`filename="${v}`) || msg.lowerText().includes(`filename=${v}`);
+		case "has":
+			if (v !== "attachment") throw new UnsupportedCriteria(`has:${v}`);
+			return hasAttachment;
+		case "larger": {
+			const n = parseSize(v);
+			return (msg) => msg.size > n;
+		}
+		case "smaller": {
+			const n = parseSize(v);
+			return (msg) => msg.size < n;
+		}
+		case null: {
+			// bare word: Gmail searches headers and body, we search the raw text
+			return (msg) => msg.lowerText().includes(v);
+		}
+		default:
+			throw new UnsupportedCriteria(`${op}:`);
+	}
+}
+
+// query subset: space separated AND-ed terms, optionally negated with "-"
+function compileQuery(query) {
+	const tests = [];
+	const tokens = String(query).match(/-?(?:[a-z]+:)?(?:"[^"]*"|[^\s"]+)/gi) || [];
+	for (const token of tokens) {
+		if (token === "OR" || /[(){}]/.test(token)) throw new UnsupportedCriteria(`"${query}"`);
+		const m = token.match(/^(-?)(?:([a-z]+):)?(.*)$/i);
+		const negate = m[1] === "-";
+		const op = m[2] ? m[2].toLowerCase() : null;
+		if (op && !QUERY_OPERATORS.includes(op)) throw new UnsupportedCriteria(`${op}:`);
+		const test = compileTerm(op, m[3]);
+		tests.push(negate ? (msg) => !test(msg) : test);
+	}
+	return (msg) => tests.every((t) => t(msg));
+}
+
+// compile a filter resource ({ id, criteria, action }); throws UnsupportedCriteria
+function compileFilter(filter) {
+	const c = filter.criteria || {};
+	const a = filter.action || {};
+	const tests = [];
+	if (c.from) tests.push(compileTerm("from", c.from));
+	if (c.to) tests.push(compileTerm("to", c.to));
+	if (c.subject) tests.push(compileTerm("subject", c.subject));
+	if (c.query) tests.push(compileQuery(c.query));
+	if (c.negatedQuery) {
+		const q = compileQuery(c.negatedQuery);
+		tests.push((msg) => !q(msg));
+	}
+	if (c.hasAttachment) tests.push(hasAttachment);
+	if (c.size) {
+		const n = Number(c.size);
+		tests.push(c.sizeComparison === "smaller" ? (msg) => msg.size < n : (msg) => msg.size > n);
+	}
+	if (tests.length === 0) throw new UnsupportedCriteria("no criteria");
+	if (a.forward) throw new UnsupportedCriteria("forward action");
+	return {
+		id: filter.id,
+		test: (msg) => tests.every((t) => t(msg)),
+		add: a.addLabelIds || [],
+		remove: a.removeLabelIds || [],
+	};
+}
+
+// returns { filters, unsupported: [{ id, reason }] }
+function compileFilters(list) {
+	const filters = [];
+	const unsupported = [];
+	for (const f of list || []) {
+		try {
+			filters.push(compileFilter(f));
+		} catch (err) {
+			if (!(err instanceof UnsupportedCriteria)) throw err;
+			unsupported.push({ id: f.id, reason: err.message, criteria: f.criteria || {} });
+		}
+	}
+	return { filters, unsupported };
+}
+
+// msg: { headers, size, text }; returns { labelIds, trash, hits }
+function applyFilters(filters, msg, labelIds) {
+	const out = new Set(labelIds);
+	const hits = [];
+	const prepared = prepare(msg);
+	for (const f of filters) {
+		if (!f.test(prepared)) continue;
+		hits.push(f.id);
+		for (const id of f.add) out.add(id);
+		for (const id of f.remove) out.delete(id);
+	}
+	// imports cannot carry TRASH, the caller trashes the message afterwards
+	const trash = out.delete("TRASH");
+	return { labelIds: [...out], trash, hits };
+}
+
+module.exports = {
+	compileFilters,
+	applyFilters,
+};
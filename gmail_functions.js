@@ -1,19 +1,193 @@
 //process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-const { existsSync, readFileSync, writeFileSync } = require("node:fs");
+const { randomBytes } = require("node:crypto");
+const { chmodSync, existsSync, readFileSync, writeFileSync } = require("node:fs");
 const { google } = require("googleapis");
+const { compileFilters } = require("./gmail_filters.js");
+const { metrics, gmailErrorCode } = require("./metrics.js");
+const { parseHeaders, getMessageId } = require("./message_utils.js");
+const { cipherFromConfig, isEncrypted } = require("./secrets.js");
 const authWaiters = new Map(); // pathname -> { oauth2Client, resolve, reject }
 let logger = console; // default logger
 let awaitingAuth = false;
+// OAuth state nonces handed out with authorize URLs: nonce -> expiry
+const authStates = new Map();
+const AUTH_STATE_TTL_MS = 30 * 60 * 1000;
+const AUTH_STATE_MAX = 50;
+// Gmail filters, kept across client instances: { loadedAt, filters, unsupported, error,
+// retryAt }; after a failed load retryAt holds off the next attempt
+let filterCache = { loadedAt: 0, filters: [], unsupported: [], error: null, retryAt: 0 };
+const FILTERS_RETRY_MS = 60 * 1000;
+
+// --- Quota ---
+// Gmail allows 250 quota units per user per second; every method has its cost.
+// https://developers.google.com/gmail/api/reference/quota
+const QUOTA_UNITS = {
+  "labels.list": 1,
+  "labels.create": 5,
+  "filters.list": 1,
+  "messages.list": 5,
+  "messages.trash": 5,
+  "messages.import": 25,
+};
+const NETWORK_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND", "ENETUNREACH", "ECONNABORTED"];
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 64000;
+// a longer Retry-After fails the call, the message is tried again next cycle
+const RETRY_AFTER_MAX_MS = 5 * 60 * 1000;
+const THROTTLE_EVENTS_KEPT = 50;
+
+// --- Large messages ---
+// Gmail does not take messages over 50 MB. Above SIMPLE_IMPORT_MAX the message
+// is sent with a resumable upload: as is, in chunks (a multiple of 256 KiB),
+// instead of base64 inside a JSON request.
+const GMAIL_MAX_MESSAGE_SIZE = 50 * 1024 * 1024;
+const SIMPLE_IMPORT_MAX = 5 * 1024 * 1024;
+const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const UPLOAD_URL = "https://gmail.googleapis.com/upload/gmail/v1/users/me/messages/import";
+// waits for the limiter and retries: { waits, waitedMs, retries, events: [{ time, operation, code, attempt, delayMs, retryAfter }] }
+const throttle = { waits: 0, waitedMs: 0, retries: 0, events: [] };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Token bucket holding at most one second of quota units. Calls wait their turn
+// in order; after a 429 nothing is sent until the Retry-After has passed.
+class RateLimiter {
+  constructor(unitsPerSecond) {
+    this.setRate(unitsPerSecond);
+    this.tokens = this.rate;
+    this.last = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  setRate(unitsPerSecond) {
+    this.rate = Math.max(1, Number(unitsPerSecond) || 250);
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + ((now - this.last) / 1000) * this.rate);
+    this.last = now;
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  // resolves once `cost` units are available
+  take(cost) {
+    const turn = this.queue.then(async () => {
+      const units = Math.min(cost, this.rate);
+      this._refill();
+      const wait = Math.max(this.pausedUntil - Date.now(), this.tokens < units ? Math.ceil(((units - this.tokens) / this.rate) * 1000) : 0);
+      if (wait > 0) {
+        throttle.waits++;
+        throttle.waitedMs += wait;
+        metrics.gmailQuotaWait.inc({}, wait / 1000);
+        await sleep(wait);
+        this._refill();
+      }
+      this.tokens -= units;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const limiter = new RateLimiter(250);
+
+function errorReason(err) {
+  const data = err.response && err.response.data;
+  const errors = (data && data.error && data.error.errors) || err.errors || [];
+  return errors.length ? errors[0].reason : null;
+}
+
+// 429, 5xx, quota 403s and network errors are worth another try
+function isRetryable(err) {
+  const status = err.response && err.response.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status === 403) return ["rateLimitExceeded", "userRateLimitExceeded"].includes(errorReason(err));
+  return !status && NETWORK_ERRORS.includes(err.code);
+}
+
+// Retry-After in ms (seconds or an HTTP date), null without one
+function retryAfterMs(err) {
+  const value = headerOf(err.response, "retry-after");
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// exponential backoff with full jitter
+function backoffMs(attempt) {
+  return Math.floor(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+}
+
+// gaxios responses carry a fetch Headers object
+function headerOf(res, name) {
+  const headers = (res && res.headers) || {};
+  return (typeof headers.get === "function" ? headers.get(name) : headers[name]) || null;
+}
+
+// bytes the upload server has, from the Range header of a 308 ("bytes=0-1234")
+function uploadedBytes(res) {
+  const m = /bytes=0-(\d+)/.exec(headerOf(res, "range") || "");
+  return m ? Number(m[1]) + 1 : 0;
+}
+
+// label ids Gmail does not know (any more): 404, or a 400 naming the label
+function isStaleLabel(err) {
+  const status = err.response && err.response.status;
+  return status === 404 || (status === 400 && /label/i.test(err.message || ""));
+}
+
+// Gmail refused the message itself (400 Invalid raw, 413, over the size limit),
+// not one of its labels or the request
+function isMessageRejected(err) {
+  if (!err || typeof err !== "object") return false;
+  if (err.code === "EMSGTOOLARGE") return true;
+  const status = err.response && err.response.status;
+  return status === 413 || (status === 400 && !isStaleLabel(err));
+}
+
+function recordThrottle(operation, err, attempt, delayMs, retryAfter) {
+  const code = gmailErrorCode(err);
+  throttle.retries++;
+  throttle.events.push({ time: Date.now(), operation, code, attempt, delayMs, retryAfter });
+  if (throttle.events.length > THROTTLE_EVENTS_KEPT) throttle.events.shift();
+  metrics.gmailRetries.inc({ code });
+}
 
 class GmailClient {
   oauth2Client;
   gmail;
   tokenFile;
+  cipher;
+  checkDuplicates;
+  applyFilters;
+  filtersRefreshMs;
+  maxRetries;
 
   constructor(config) {
     // Load credentials
     const credFile = config.gmail.client_secrets_file;
     this.tokenFile = config.gmail.token_file;
+    // token file encryption, see `encryption` in the config
+    this.cipher = cipherFromConfig(config);
+    // also ask Gmail (rfc822msgid:) whether a message exists before importing it
+    this.checkDuplicates = !!config.gmail.check_duplicates;
+    // evaluate the user's Gmail filters locally for imported messages (opt-in)
+    this.applyFilters = !!config.gmail.apply_filters;
+    this.filtersRefreshMs = Math.max(1, Number(config.gmail.filters_refresh_minutes || 60)) * 60000;
+    // label name -> id of this Gmail user; null until loaded, dropped when Gmail no
+    // longer knows one of the ids and reloaded now and then for renamed labels
+    this.labelCache = null;
+    this.labelsLoadedAt = 0;
+    this.labelsRefreshMs = Math.max(1, Number(config.gmail.labels_refresh_minutes || 60)) * 60000;
+    // the limiter is shared, the quota is per Gmail user
+    limiter.setRate(config.gmail.quota_units_per_second || 250);
+    this.maxRetries = config.gmail.max_retries === undefined ? 5 : Number(config.gmail.max_retries);
 
     if (!existsSync(credFile)) throw new Error(`Missing credentials file: ${credFile}`);
 
@@ -33,6 +207,8 @@ class GmailClient {
     this.gmail = google.gmail({
       version: "v1",
       auth: this.oauth2Client,
+      // retries are done in _api, with the rate limiter
+      retry: false,
       //proxy: "http://127.0.0.1:8080",
     });
 
@@ -41,14 +217,14 @@ class GmailClient {
       if (tokens.refresh_token) {
         // persist token if refreshed
         try {
-          writeFileSync(this.tokenFile, JSON.stringify(tokens, null, 2));
+          this.saveToken(tokens);
           logger.info(`Saved token to ${this.tokenFile}`);
         } catch (err) {
           logger.warn("Failed to persist token: " + (err.message || err));
         }
-        logger.info("Refresh token: " + tokens.refresh_token);
       }
-      logger.info("Access token: " + tokens.access_token);
+      // never log the tokens themselves
+      logger.info(`Received access token, expires ${tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : "at an unknown time"}`);
     });
 
     new Promise((resolve, reject) => {
@@ -66,11 +242,24 @@ class GmailClient {
       });
   }
 
+  // readable by the owner only, encrypted when a key is configured
+  saveToken(tokens) {
+    writeFileSync(this.tokenFile, this.cipher.encrypt(JSON.stringify(tokens, null, 2)), { mode: 0o600 });
+    // the mode only applies to new files
+    chmodSync(this.tokenFile, 0o600);
+  }
+
   authenticate() {
     // Load token if present
     if (existsSync(this.tokenFile)) {
       try {
-        const token = JSON.parse(readFileSync(this.tokenFile));
+        const text = readFileSync(this.tokenFile, "utf8");
+        const token = JSON.parse(this.cipher.decrypt(text));
+        // encrypt a token file written before the key was set
+        if (this.cipher.enabled && !isEncrypted(text)) {
+          this.saveToken(token);
+          logger.info(`Encrypted token file ${this.tokenFile}`);
+        }
         this.oauth2Client.setCredentials(token);
         if (token.refresh_token) {
           // getAccessToken will automatically refresh if needed, and trigger the "tokens" event to save the new token
@@ -101,37 +290,106 @@ class GmailClient {
     return { res: null };
   }
 
+  // force the web OAuth flow, e.g. to switch accounts or renew consent
+  requestAuthorization() {
+    awaitingAuth = true;
+  }
+
+  // finish the OAuth flow with a code pasted by the user (headless `auth` command);
+  // the "tokens" handler saves the token file
+  async authorizeWithCode(code) {
+    const { tokens } = await this.oauth2Client.getToken(code);
+    this.oauth2Client.setCredentials(tokens);
+    awaitingAuth = false;
+    if (!tokens.refresh_token) logger.warn("No refresh token received, the authorization will not survive a restart");
+    return tokens;
+  }
+
   // --- Get the authorization URL for the OAuth2 client ---
-  getAuthorizeUrl(redirectUri, secondhop) {
+  // secondhopCallback: local callback URL when redirectUri is the redirect helper.
+  // The state carries a fresh nonce, the callback is only accepted with one of them:
+  // directly as state, or as last path segment of the callback behind the helper.
+  getAuthorizeUrl(redirectUri, secondhopCallback) {
     if (!awaitingAuth | !this.oauth2Client) return null;
     const scopes = ["https://www.googleapis.com/auth/gmail.modify", "https://www.googleapis.com/auth/gmail.labels"];
+    const nonce = newAuthState();
+    const state = secondhopCallback
+      ? Buffer.from(`SECONDHOPLINK${secondhopCallback}/${nonce}`, "utf8").toString("base64")
+      : nonce;
     this.oauth2Client.redirectUri = redirectUri;
     return this.oauth2Client.generateAuthUrl({
       access_type: "offline",
       scope: scopes,
       prompt: "consent",
       redirect_uri: redirectUri,
-      state: secondhop,
+      state,
     });
   }
 
   // --- Gmail helpers ---
 
+  // Run an API call within the quota: wait for the rate limiter, retry rate limits,
+  // server and network errors with backoff. onRetry(err) may return a result
+  // instead of retrying, for calls that might have gone through anyway.
+  async _api(operation, call, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.take(QUOTA_UNITS[operation] || 1);
+      try {
+        return await call();
+      } catch (err) {
+        metrics.gmailErrors.inc({ code: gmailErrorCode(err) });
+        if (operation === "messages.import" && isStaleLabel(err) && this.labelCache) {
+          logger.warn(`Gmail ${operation} failed with ${gmailErrorCode(err)}, reloading labels`);
+          this.labelCache = null;
+        }
+        if (!isRetryable(err) || attempt >= this.maxRetries) throw err;
+        const retryAfter = retryAfterMs(err);
+        if (retryAfter !== null && retryAfter > RETRY_AFTER_MAX_MS) throw err;
+        const delay = retryAfter !== null ? retryAfter : backoffMs(attempt);
+        if (err.response && err.response.status === 429) limiter.pause(delay);
+        recordThrottle(operation, err, attempt + 1, delay, retryAfter !== null);
+        logger.warn(`Gmail ${operation} failed (${err.message || err}), retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+        if (onRetry) {
+          const result = await onRetry(err);
+          if (result !== undefined) return result;
+        }
+      }
+    }
+  }
+
+  // all labels, system labels included: [{ id, name, ... }]
+  async listLabels() {
+    if (!this.gmail) throw new Error("Gmail client not initialized");
+    const res = await this._api("labels.list", () => this.gmail.users.labels.list({ userId: "me" }));
+    const labels = res.data.labels || [];
+    this.labelCache = new Map(labels.map((l) => [l.name, l.id]));
+    this.labelsLoadedAt = Date.now();
+    return labels;
+  }
+
+  // id of an existing label, null when there is none; never creates it
+  async findLabel(labelName) {
+    if (!this.labelCache || Date.now() - this.labelsLoadedAt >= this.labelsRefreshMs) await this.listLabels();
+    return this.labelCache.get(labelName) || null;
+  }
+
   async getOrCreateLabel(labelName) {
     if (!this.gmail) throw new Error("Gmail client not initialized");
     try {
-      const res = await this.gmail.users.labels.list({ userId: "me" });
-      const labels = res.data.labels || [];
-      const found = labels.find((l) => l.name === labelName);
-      if (found) return found.id;
-      const created = await this.gmail.users.labels.create({
-        userId: "me",
-        requestBody: {
-          name: labelName,
-          labelListVisibility: "labelShow",
-          messageListVisibility: "show",
-        },
-      });
+      const found = await this.findLabel(labelName);
+      if (found) return found;
+      const created = await this._api("labels.create", () =>
+        this.gmail.users.labels.create({
+          userId: "me",
+          requestBody: {
+            name: labelName,
+            labelListVisibility: "labelShow",
+            messageListVisibility: "show",
+          },
+        }),
+      );
+      if (this.labelCache) this.labelCache.set(labelName, created.data.id);
       return created.data.id;
     } catch (err) {
       logger.error("Failed to get or create label: " + (err.message || err));
@@ -139,20 +397,129 @@ class GmailClient {
     }
   }
 
-  importMessage(rawBytes, labelId) {
+  // (re)load the Gmail filters when the cached copy is older than the refresh interval
+  async getFilters() {
+    if (!this.gmail) throw new Error("Gmail client not initialized");
+    const now = Date.now();
+    if (now < filterCache.retryAt || now - filterCache.loadedAt < this.filtersRefreshMs) return filterCache.filters;
+    try {
+      const res = await this._api("filters.list", () => this.gmail.users.settings.filters.list({ userId: "me" }));
+      const { filters, unsupported } = compileFilters(res.data.filter || []);
+      filterCache = { loadedAt: Date.now(), filters, unsupported, error: null, retryAt: 0 };
+      logger.info(`Loaded ${filters.length} Gmail filter(s), ${unsupported.length} unsupported`);
+      for (const u of unsupported) logger.warn(`Gmail filter ${u.id} not applied, unsupported criteria: ${u.reason}`);
+    } catch (err) {
+      // keep using the previous filters, try again in a minute rather than for every message
+      filterCache.error = err.message || String(err);
+      filterCache.retryAt = Date.now() + FILTERS_RETRY_MS;
+      logger.error("Failed to load Gmail filters: " + filterCache.error);
+    }
+    return filterCache.filters;
+  }
+
+  async trashMessage(id) {
+    if (!this.gmail) throw new Error("Gmail client not initialized");
+    await this._api("messages.trash", () => this.gmail.users.messages.trash({ userId: "me", id }));
+  }
+
+  // returns the Gmail id of a message with this Message-ID header, or null
+  async findByMessageId(messageId) {
+    if (!this.gmail) throw new Error("Gmail client not initialized");
+    const res = await this._api("messages.list", () =>
+      this.gmail.users.messages.list({
+        userId: "me",
+        q: `rfc822msgid:${messageId}`,
+        includeSpamTrash: true,
+        maxResults: 1,
+      }),
+    );
+    const messages = res.data.messages || [];
+    return messages.length ? messages[0].id : null;
+  }
+
+  // labelIds: user label ids plus system labels (INBOX, UNREAD, STARRED, ...)
+  async importMessage(rawBytes, labelIds) {
     if (!this.gmail) throw new Error("Gmail client not initialized");
     // rawBytes: Buffer or string (CRLF)
-    const rawB64 = Buffer.from(rawBytes).toString("base64url");
-    const res = this.gmail.users.messages.import({
-      userId: "me",
-      internalDateSource: "dateHeader",
-      requestBody: {
-        raw: rawB64,
-        labelIds: [labelId, "INBOX", "UNREAD"],
-      },
-    });
+    const raw = Buffer.isBuffer(rawBytes) ? rawBytes : Buffer.from(rawBytes);
+    if (raw.length > GMAIL_MAX_MESSAGE_SIZE) {
+      const err = new Error(`Message of ${raw.length} bytes is over Gmail's limit of ${GMAIL_MAX_MESSAGE_SIZE} bytes`);
+      err.code = "EMSGTOOLARGE";
+      throw err;
+    }
+    if (raw.length > SIMPLE_IMPORT_MAX) return this._importResumable(raw, labelIds);
+    const messageId = getMessageId(parseHeaders(raw));
+    // after a server or network error the import may have happened after all
+    const alreadyImported = async (err) => {
+      if (!messageId || (err.response && [403, 429].includes(err.response.status))) return undefined;
+      const id = await this.findByMessageId(messageId);
+      if (!id) return undefined;
+      logger.info(`Message ${messageId} was imported before the error, Gmail ID ${id}`);
+      return { data: { id } };
+    };
+    const res = await this._api(
+      "messages.import",
+      () =>
+        this.gmail.users.messages.import({
+          userId: "me",
+          internalDateSource: "dateHeader",
+          requestBody: {
+            raw: raw.toString("base64url"),
+            labelIds: labelIds,
+          },
+        }),
+      alreadyImported,
+    );
     return res.data;
   }
+
+  // Resumable upload: start a session, then send chunks; a failed chunk asks the
+  // server how much it has and continues from there.
+  // https://developers.google.com/gmail/api/guides/uploads#resumable
+  async _importResumable(raw, labelIds) {
+    const total = raw.length;
+    const session = await this._api("messages.import", () =>
+      this.oauth2Client.request({
+        url: `${UPLOAD_URL}?uploadType=resumable&internalDateSource=dateHeader`,
+        method: "POST",
+        headers: { "X-Upload-Content-Type": "message/rfc822", "X-Upload-Content-Length": String(total) },
+        data: { labelIds },
+      }),
+    );
+    const url = headerOf(session, "location");
+    if (!url) throw new Error("Resumable upload returned no session URI");
+    logger.info(`Uploading message of ${total} bytes in chunks of ${UPLOAD_CHUNK_BYTES} bytes`);
+
+    const more = (status) => status === 308 || (status >= 200 && status < 300);
+    let offset = 0;
+    let resync = false;
+    const putChunk = async () => {
+      if (resync) {
+        const status = await this.oauth2Client.request({ url, method: "PUT", headers: { "Content-Range": `bytes */${total}` }, validateStatus: more });
+        if (status.status !== 308) return status;
+        offset = uploadedBytes(status);
+        resync = false;
+      }
+      const end = Math.min(offset + UPLOAD_CHUNK_BYTES, total);
+      try {
+        return await this.oauth2Client.request({
+          url,
+          method: "PUT",
+          headers: { "Content-Range": `bytes ${offset}-${end - 1}/${total}` },
+          data: raw.subarray(offset, end),
+          validateStatus: more,
+        });
+      } catch (err) {
+        resync = true;
+        throw err;
+      }
+    };
+    for (;;) {
+      const res = await this._api("messages.upload", putChunk);
+      if (res.status !== 308) return res.data;
+      offset = uploadedBytes(res);
+    }
+  }
 }
 
 // ---- Interface helpers ----
@@ -161,6 +528,55 @@ function setGfLogger(customLogger) {
   logger = customLogger;
 }
 
+function isAwaitingAuth() {
+  return awaitingAuth;
+}
+
+function getFilterStatus() {
+  return {
+    loadedAt: filterCache.loadedAt || null,
+    count: filterCache.filters.length,
+    unsupported: filterCache.unsupported,
+    error: filterCache.error,
+  };
+}
+
+// limiter settings and the latest retries, for the status page
+function getQuotaStatus() {
+  return {
+    unitsPerSecond: limiter.rate,
+    pausedUntil: limiter.pausedUntil > Date.now() ? limiter.pausedUntil : null,
+    waits: throttle.waits,
+    waitedMs: throttle.waitedMs,
+    retries: throttle.retries,
+    events: throttle.events.slice().reverse(),
+  };
+}
+
+function pruneAuthStates() {
+  const now = Date.now();
+  for (const [nonce, expires] of authStates) {
+    if (expires <= now) authStates.delete(nonce);
+  }
+}
+
+function newAuthState() {
+  pruneAuthStates();
+  // Map keeps insertion order, drop the oldest when the page is reloaded a lot
+  while (authStates.size >= AUTH_STATE_MAX) authStates.delete(authStates.keys().next().value);
+  const nonce = randomBytes(16).toString("hex");
+  authStates.set(nonce, Date.now() + AUTH_STATE_TTL_MS);
+  return nonce;
+}
+
+// true when the nonce was issued and has not expired; all nonces are used up on success
+function checkAuthState(nonce) {
+  pruneAuthStates();
+  if (!nonce || !authStates.has(nonce)) return false;
+  authStates.clear();
+  return true;
+}
+
 function getAuthWaiter(pathname) {
   return authWaiters.get(pathname);
 }
@@ -174,8 +590,14 @@ function finishAuthWaiter(waiter, code) {
 }
 
 module.exports = {
+  GMAIL_MAX_MESSAGE_SIZE,
+  isMessageRejected,
   setGfLogger,
+  isAwaitingAuth,
+  getFilterStatus,
+  getQuotaStatus,
   getAuthWaiter,
+  checkAuthState,
   finishAuthWaiter,
   GmailClient,
 };
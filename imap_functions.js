@@ -0,0 +1,171 @@
+const { readFileSync } = require("node:fs");
+const { ImapFlow } = require("imapflow");
+
+// --- IMAP source, counterpart of the POP3 source in pop3_functions.js ---
+// Messages are not deleted after import by default: they are marked \Seen (or
+// a custom keyword), moved to another folder or deleted, see `after_import`.
+
+const AFTER_IMPORT = ["seen", "flag", "move", "delete"];
+const TLS_MODES = ["implicit", "starttls", "none"];
+
+// account.folders: ["INBOX", { name: "Work", label: "import/work" }]
+function folderList(account) {
+	const folders = account.folders && account.folders.length ? account.folders : ["INBOX"];
+	return folders.map((f) => (typeof f === "string" ? { name: f, label: null } : { name: f.name, label: f.label || null }));
+}
+
+// search criteria for messages that were not processed yet
+function pendingCriteria(account) {
+	switch (account.after_import || "seen") {
+		case "seen":
+			return { seen: false };
+		case "flag":
+			return { unKeyword: account.imap_flag || "$Imported" };
+		default:
+			// moved or deleted messages leave the folder
+			return { all: true };
+	}
+}
+
+// connection options: tls_mode as for POP3 (implicit on port 993, starttls required,
+// none), without it the `tls` flag and STARTTLS when the server offers it; ca_file,
+// servername and insecure_skip_verify go to the TLS connection. imapflow logs in
+// before a pinned certificate could be checked, so tls_fingerprint is refused.
+function connectOptions(account) {
+	if (account.tls_fingerprint) throw new Error("tls_fingerprint is not supported for IMAP accounts, use ca_file");
+	const mode = account.tls_mode;
+	if (mode !== undefined && !TLS_MODES.includes(mode)) throw new Error(`Invalid tls_mode "${mode}", expected one of ${TLS_MODES.join(", ")}`);
+	const port = Number(account.port || (mode === undefined || mode === "implicit" ? 993 : 143));
+	let secure;
+	let doSTARTTLS;
+	if (mode === "implicit") secure = true;
+	else if (mode === "starttls") [secure, doSTARTTLS] = [false, true];
+	else if (mode === "none") [secure, doSTARTTLS] = [false, false];
+	else secure = account.tls !== undefined ? !!account.tls : port === 993;
+	return {
+		port,
+		secure,
+		doSTARTTLS,
+		servername: account.servername || undefined,
+		tls: {
+			ca: account.ca_file ? readFileSync(account.ca_file) : undefined,
+			rejectUnauthorized: !account.insecure_skip_verify,
+		},
+	};
+}
+
+// "folder:uidvalidity:uid" from list() back to { folder, uidValidity, uid }
+function parseKey(key) {
+	const m = /^(.*):(\d+):(\d+)$/.exec(key);
+	if (!m) throw new Error(`Invalid IMAP message key "${key}"`);
+	return { folder: m[1], uidValidity: m[2], uid: Number(m[3]), key, desc: `${m[1]}/${m[3]}` };
+}
+
+async function openImapSource(account) {
+	const afterImport = account.after_import || "seen";
+	if (!AFTER_IMPORT.includes(afterImport)) throw new Error(`Invalid after_import "${afterImport}", expected one of ${AFTER_IMPORT.join(", ")}`);
+	if (afterImport === "move" && !account.move_to) throw new Error("after_import: move requires move_to");
+
+	const client = new ImapFlow({
+		host: account.server,
+		...connectOptions(account),
+		auth: { user: account.username, pass: account.password },
+		logger: false,
+		socketTimeout: account.timeout_ms || 30000,
+	});
+	// errors after connecting surface as rejected commands
+	client.on("error", () => {});
+	await client.connect();
+
+	async function inFolder(folder, fn) {
+		const lock = await client.getMailboxLock(folder);
+		try {
+			return await fn();
+		} finally {
+			lock.release();
+		}
+	}
+
+	return {
+		protocol: "imap",
+
+		// returns [{ folder, uidValidity, uid, key, size, label, desc }] for unprocessed messages in all folders
+		async list() {
+			const items = [];
+			for (const folder of folderList(account)) {
+				await inFolder(folder.name, async () => {
+					const uidValidity = client.mailbox.uidValidity;
+					const uids = await client.search(pendingCriteria(account), { uid: true });
+					if (!uids || uids.length === 0) return;
+					for await (const msg of client.fetch(uids, { uid: true, size: true }, { uid: true })) {
+						items.push({
+							folder: folder.name,
+							uidValidity: String(uidValidity),
+							uid: msg.uid,
+							key: `${folder.name}:${uidValidity}:${msg.uid}`,
+							size: msg.size,
+							label: folder.label,
+							desc: `${folder.name}/${msg.uid}`,
+						});
+					}
+				});
+			}
+			return items;
+		},
+
+		async fetch(item) {
+			return inFolder(item.folder, async () => {
+				const msg = await client.fetchOne(String(item.uid), { source: true }, { uid: true });
+				if (!msg || !msg.source) throw new Error(`IMAP FETCH failed for ${item.desc}`);
+				return msg.source;
+			});
+		},
+
+		// headers only, for the dry run
+		async fetchHeaders(item) {
+			return inFolder(item.folder, async () => {
+				const msg = await client.fetchOne(String(item.uid), { headers: true }, { uid: true });
+				if (!msg || !msg.headers) throw new Error(`IMAP FETCH failed for ${item.desc}`);
+				return msg.headers;
+			});
+		},
+
+		// called once the message is imported
+		async markDone(item) {
+			await inFolder(item.folder, async () => {
+				const uid = String(item.uid);
+				if (afterImport === "seen") await client.messageFlagsAdd(uid, ["\\Seen"], { uid: true });
+				else if (afterImport === "flag") await client.messageFlagsAdd(uid, [account.imap_flag || "$Imported"], { uid: true });
+				else if (afterImport === "move") await client.messageMove(uid, account.move_to, { uid: true });
+				else await client.messageDelete(uid, { uid: true });
+			});
+		},
+
+		// delete a message whatever after_import says (delete_after_days); a message of
+		// an earlier run is skipped when the folder's UIDVALIDITY changed since
+		async remove(item) {
+			await inFolder(item.folder, async () => {
+				if (String(client.mailbox.uidValidity) !== String(item.uidValidity)) return;
+				await client.messageDelete(String(item.uid), { uid: true });
+			});
+		},
+
+		// item for a key from list(), e.g. one remembered for delete_after_days
+		fromKey(key) {
+			return parseKey(key);
+		},
+
+		async close() {
+			try {
+				await client.logout();
+			} catch (e) {
+				client.close();
+			}
+		},
+	};
+}
+
+module.exports = {
+	AFTER_IMPORT,
+	openImapSource,
+};
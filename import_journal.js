@@ -0,0 +1,110 @@
+const { existsSync, readFileSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync } = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_FILE = process.env.JOURNAL_FILE || path.join(__dirname, "import_journal.jsonl");
+const DEFAULT_RETENTION_DAYS = 400;
+
+function ensureDir(dir) {
+	try {
+		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	} catch (e) {
+		// ignore
+	}
+}
+
+// Durable, append-only journal of imported messages. Every line is a JSON entry
+// { time, account, state: 'pending'|'imported', message_id, hash, gmail_id }.
+// Entries are fsync'ed before the caller continues, so after a crash between
+// import and DELE the next cycle still knows the message was (maybe) imported.
+class ImportJournal {
+	constructor(filePath, retentionDays) {
+		this.filePath = filePath || DEFAULT_FILE;
+		this.retentionMs = Number(retentionDays || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+		ensureDir(path.dirname(this.filePath));
+		this._entries = new Map(); // account -> Map(key -> entry)
+		this._load();
+		this._compact();
+		this._fd = openSync(this.filePath, "a");
+	}
+
+	_load() {
+		if (!existsSync(this.filePath)) return;
+		const lines = readFileSync(this.filePath, "utf8").split("\n");
+		for (const line of lines) {
+			if (!line.trim()) continue;
+			try {
+				this._index(JSON.parse(line));
+			} catch (e) {
+				// a torn last line after a crash, skip it
+			}
+		}
+	}
+
+	_accountMap(account) {
+		if (!this._entries.has(account)) this._entries.set(account, new Map());
+		return this._entries.get(account);
+	}
+
+	_index(entry) {
+		const m = this._accountMap(entry.account);
+		if (entry.hash) m.set("hash:" + entry.hash, entry);
+		if (entry.message_id) m.set("mid:" + entry.message_id, entry);
+	}
+
+	// drop expired entries and rewrite the file atomically
+	_compact() {
+		const cutoff = Date.now() - this.retentionMs;
+		const keep = new Set();
+		for (const m of this._entries.values()) {
+			for (const [k, e] of m) {
+				if (e.time < cutoff) m.delete(k);
+				else keep.add(e);
+			}
+		}
+		const tmp = this.filePath + ".tmp";
+		const fd = openSync(tmp, "w");
+		try {
+			for (const e of keep) writeSync(fd, JSON.stringify(e) + "\n");
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, this.filePath);
+	}
+
+	_append(entry) {
+		writeSync(this._fd, JSON.stringify(entry) + "\n");
+		fsyncSync(this._fd);
+		this._index(entry);
+	}
+
+	// the latest entry of this exact message (same content hash), or null. Without a
+	// hash (only the headers were read) the latest entry with the Message-ID, which
+	// may be a different message reusing it.
+	lookup(account, messageId, hash) {
+		const m = this._entries.get(account);
+		if (!m) return null;
+		if (hash) return m.get("hash:" + hash) || null;
+		return (messageId && m.get("mid:" + messageId)) || null;
+	}
+
+	// written right before the Gmail import is attempted
+	markPending(account, messageId, hash) {
+		this._append({ time: Date.now(), account, state: "pending", message_id: messageId || null, hash, gmail_id: null });
+	}
+
+	// written after a successful import and before the POP3 DELE
+	markImported(account, messageId, hash, gmailId) {
+		this._append({ time: Date.now(), account, state: "imported", message_id: messageId || null, hash, gmail_id: gmailId || null });
+	}
+
+	close() {
+		try {
+			closeSync(this._fd);
+		} catch (e) {
+			// ignore
+		}
+	}
+}
+
+module.exports = { ImportJournal };
@@ -0,0 +1,254 @@
+const { existsSync, readFileSync, readSync, mkdirSync, openSync, writeSync, fsyncSync, fstatSync, closeSync, renameSync, unlinkSync } = require("node:fs");
+const { randomBytes } = require("node:crypto");
+const os = require("node:os");
+const path = require("node:path");
+const { gzipSync, gunzipSync } = require("node:zlib");
+const { parseHeaders, getMessageId, contentHash } = require("./message_utils.js");
+
+const DEFAULT_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, "archive");
+const FORMATS = ["maildir", "mbox"];
+const DAY = 24 * 60 * 60 * 1000;
+
+function ensureDir(dir) {
+	try {
+		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	} catch (e) {
+		// ignore
+	}
+}
+
+function isGzip(buf) {
+	return buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+}
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// "From " line date in asctime format (UTC): "Mon Oct  5 14:03:00 2026"
+function asctime(time) {
+	const d = new Date(time);
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${DAYS[d.getUTCDay()]} ${MONTHS[d.getUTCMonth()]} ${String(d.getUTCDate()).padStart(2, " ")} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} ${d.getUTCFullYear()}`;
+}
+
+// --- Local archive of raw messages, written before they are imported ---
+// account.archive: { format: maildir|mbox, path, compress, retention_days, max_size_mb }
+// Maildir keeps one file per message in new/; mbox (mboxrd quoting) one file
+// per month, so retention and the size limit remove mbox archives a month at a
+// time. Compressed messages are gzip (mbox: one gzip member per message).
+// index.jsonl lists every archived message:
+// { time, file, message_id, hash, size, stored, offset }; offset is where the
+// message starts in its mbox file, stored its length there
+// (index entries written before offsets were kept are found by position)
+class MessageArchive {
+	constructor(accountName, options) {
+		const o = options === true ? {} : options || {};
+		this.format = o.format || "maildir";
+		if (!FORMATS.includes(this.format)) throw new Error(`Invalid archive format "${this.format}", expected one of ${FORMATS.join(", ")}`);
+		this.dir = o.path || path.join(DEFAULT_DIR, accountName.replace(/[^\w.@-]/g, "_"));
+		this.compress = !!o.compress;
+		this.retentionMs = Number(o.retention_days || 0) * DAY;
+		this.maxBytes = Number(o.max_size_mb || 0) * 1024 * 1024;
+		this.indexPath = path.join(this.dir, "index.jsonl");
+		ensureDir(this.dir);
+		if (this.format === "maildir") for (const sub of ["tmp", "new", "cur"]) ensureDir(path.join(this.dir, sub));
+		this._entries = [];
+		this._load();
+		this._hashes = new Set(this._entries.map((e) => e.hash));
+	}
+
+	_load() {
+		if (!existsSync(this.indexPath)) return;
+		for (const line of readFileSync(this.indexPath, "utf8").split("\n")) {
+			if (!line.trim()) continue;
+			try {
+				this._entries.push(JSON.parse(line));
+			} catch (e) {
+				// a torn last line after a crash, skip it
+			}
+		}
+	}
+
+	// written to tmp/ and renamed into new/, as the Maildir spec asks
+	_writeMaildir(data, time) {
+		const name = `${Math.floor(time / 1000)}.P${process.pid}R${randomBytes(6).toString("hex")}.${os.hostname().replace(/[/:]/g, "_")}`;
+		const tmp = path.join(this.dir, "tmp", name);
+		const fd = openSync(tmp, "w");
+		try {
+			writeSync(fd, data);
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, path.join(this.dir, "new", name));
+		return path.join("new", name);
+	}
+
+	_appendMbox(raw, time) {
+		const d = new Date(time);
+		const file = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}.mbox` + (this.compress ? ".gz" : "");
+		// mboxrd: ">From " gets one more ">", so reading it back is exact
+		let text = raw.toString("latin1").replace(/^(>*From )/gm, ">$1");
+		if (!text.endsWith("\n")) text += "\n";
+		let data = Buffer.from(`From MAILER-DAEMON ${asctime(time)}\n${text}\n`, "latin1");
+		if (this.compress) data = gzipSync(data);
+		const fd = openSync(path.join(this.dir, file), "a");
+		let offset;
+		try {
+			offset = fstatSync(fd).size;
+			writeSync(fd, data);
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		return { file, offset, stored: data.length };
+	}
+
+	_appendIndex(entry) {
+		const fd = openSync(this.indexPath, "a");
+		try {
+			writeSync(fd, JSON.stringify(entry) + "\n");
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+	}
+
+	// archive a retrieved message; returns the index entry, or null when this
+	// exact message was archived before (a retry after a failed import)
+	store(raw) {
+		const hash = contentHash(raw);
+		if (this._hashes.has(hash)) return null;
+		const time = Date.now();
+		let file;
+		let stored;
+		let offset;
+		if (this.format === "maildir") {
+			const data = this.compress ? gzipSync(raw) : raw;
+			file = this._writeMaildir(data, time);
+			stored = data.length;
+		} else {
+			({ file, offset, stored } = this._appendMbox(raw, time));
+		}
+		const entry = { time, file, message_id: getMessageId(parseHeaders(raw)), hash, size: raw.length, stored };
+		if (offset !== undefined) entry.offset = offset;
+		this._appendIndex(entry);
+		this._entries.push(entry);
+		this._hashes.add(hash);
+		return entry;
+	}
+
+	// drop messages past retention_days, then the oldest ones above max_size_mb;
+	// returns the number of messages removed
+	prune() {
+		const now = Date.now();
+		const drop = new Set(this.retentionMs ? this._entries.filter((e) => now - e.time >= this.retentionMs) : []);
+		if (this.maxBytes) {
+			let total = this._entries.reduce((n, e) => n + (drop.has(e) ? 0 : e.stored || e.size), 0);
+			for (const e of this._entries) {
+				if (total <= this.maxBytes) break;
+				if (drop.has(e)) continue;
+				drop.add(e);
+				total -= e.stored || e.size;
+			}
+		}
+		if (!drop.size) return 0;
+		// an mbox file goes only when none of its messages are kept
+		const keptFiles = new Set(this._entries.filter((e) => !drop.has(e)).map((e) => e.file));
+		const removed = this._entries.filter((e) => drop.has(e) && !keptFiles.has(e.file));
+		for (const file of new Set(removed.map((e) => e.file))) {
+			try {
+				unlinkSync(path.join(this.dir, file));
+			} catch (e) {
+				if (e.code !== "ENOENT") throw e;
+			}
+		}
+		if (!removed.length) return 0;
+		const gone = new Set(removed);
+		this._entries = this._entries.filter((e) => !gone.has(e));
+		this._hashes = new Set(this._entries.map((e) => e.hash));
+		this._writeIndex();
+		return removed.length;
+	}
+
+	_writeIndex() {
+		const tmp = this.indexPath + ".tmp";
+		const fd = openSync(tmp, "w");
+		try {
+			for (const e of this._entries) writeSync(fd, JSON.stringify(e) + "\n");
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, this.indexPath);
+	}
+
+	// filter: { from, to (ms, archive time), messageIds }; oldest first
+	select(filter) {
+		const f = filter || {};
+		const ids = f.messageIds && f.messageIds.length ? new Set(f.messageIds.map((id) => id.replace(/^<|>$/g, ""))) : null;
+		return this._entries.filter((e) => (!f.from || e.time >= f.from) && (!f.to || e.time < f.to) && (!ids || ids.has(e.message_id)));
+	}
+
+	// yields { entry, raw } for the given entries
+	*read(entries) {
+		// only for entries without an offset: the whole mbox file, read once
+		let mbox = { file: null, messages: null, positions: null };
+		for (const entry of entries) {
+			const file = path.join(this.dir, entry.file);
+			if (this.format === "maildir") {
+				const data = readFileSync(file);
+				yield { entry, raw: isGzip(data) ? gunzipSync(data) : data };
+				continue;
+			}
+			if (entry.offset !== undefined) {
+				yield { entry, raw: this._readMboxAt(file, entry.offset, entry.stored) };
+				continue;
+			}
+			if (mbox.file !== entry.file) {
+				const positions = new Map(this._entries.filter((e) => e.file === entry.file).map((e, i) => [e, i]));
+				mbox = { file: entry.file, messages: this._readMbox(file), positions };
+			}
+			// messages in an mbox file are in index order
+			const index = mbox.positions.get(entry);
+			const raw = mbox.messages[index];
+			if (!raw) throw new Error(`Message ${index + 1} missing in ${file}`);
+			yield { entry, raw };
+		}
+	}
+
+	// one message written by _appendMbox: its "From " line, the text and a blank line
+	_readMboxAt(file, offset, length) {
+		let data = Buffer.alloc(length);
+		const fd = openSync(file, "r");
+		try {
+			if (readSync(fd, data, 0, length, offset) !== length) throw new Error(`Message at ${offset} missing in ${file}`);
+		} finally {
+			closeSync(fd);
+		}
+		if (isGzip(data)) data = gunzipSync(data);
+		const text = data.toString("latin1");
+		if (!text.startsWith("From ")) throw new Error(`No message at ${offset} in ${file}`);
+		return Buffer.from(text.slice(text.indexOf("\n") + 1).replace(/\n$/, "").replace(/^>(>*From )/gm, "$1"), "latin1");
+	}
+
+	_readMbox(file) {
+		let data = readFileSync(file);
+		if (isGzip(data)) data = gunzipSync(data);
+		return data
+			.toString("latin1")
+			.split(/^From [^\n]*\n/m)
+			.slice(1)
+			.map((m) => Buffer.from(m.replace(/\n$/, "").replace(/^>(>*From )/gm, "$1"), "latin1"));
+	}
+
+	// { messages, bytes } on disk
+	usage() {
+		return { messages: this._entries.length, bytes: this._entries.reduce((n, e) => n + (e.stored || e.size), 0) };
+	}
+}
+
+module.exports = {
+	FORMATS,
+	MessageArchive,
+};
@@ -0,0 +1,78 @@
+const { createHash } = require("node:crypto");
+
+// --- Raw RFC 5322 message helpers ---
+
+// returns the header block of a raw message (everything before the first empty line)
+function headerBlock(raw) {
+	const buf = Buffer.isBuffer(raw) ? raw : Buffer.from(raw, "binary");
+	let end = buf.indexOf("\r\n\r\n");
+	if (end < 0) end = buf.indexOf("\n\n");
+	return (end < 0 ? buf : buf.subarray(0, end)).toString("latin1");
+}
+
+// parse the header block into a map of lowercased name -> [values], with folded lines joined
+function parseHeaders(raw) {
+	const headers = {};
+	const lines = headerBlock(raw).split(/\r?\n/);
+	let current = null;
+	for (const line of lines) {
+		if (/^[ \t]/.test(line) && current) {
+			current.value += " " + line.trim();
+			continue;
+		}
+		const idx = line.indexOf(":");
+		if (idx <= 0) {
+			current = null;
+			continue;
+		}
+		current = { name: line.slice(0, idx).trim().toLowerCase(), value: line.slice(idx + 1).trim() };
+		if (!headers[current.name]) headers[current.name] = [];
+		headers[current.name].push(current);
+	}
+	const out = {};
+	for (const [k, list] of Object.entries(headers)) out[k] = list.map((h) => h.value.trim());
+	return out;
+}
+
+function getHeader(headers, name) {
+	const list = headers[name.toLowerCase()];
+	return list && list.length ? list[0] : null;
+}
+
+// Message-ID without the angle brackets, or null
+function getMessageId(headers) {
+	const v = getHeader(headers, "message-id");
+	if (!v) return null;
+	const m = v.match(/<([^>]+)>/);
+	return (m ? m[1] : v).trim() || null;
+}
+
+// RFC 2047 encoded words ("=?UTF-8?B?...?=") to text, for display and search
+function decodeWords(value) {
+	if (!value) return value;
+	return value
+		.replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, "$1")
+		.replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BQ])\?([^?]*)\?=/gi, (word, charset, enc, text) => {
+			try {
+				const bytes = enc.toUpperCase() === "B"
+					? Buffer.from(text, "base64")
+					: Buffer.from(text.replace(/_/g, " ").replace(/=([0-9A-F]{2})/gi, (m, h) => String.fromCharCode(parseInt(h, 16))), "latin1");
+				return new TextDecoder(charset).decode(bytes);
+			} catch (e) {
+				return word; // unknown charset
+			}
+		});
+}
+
+function contentHash(raw) {
+	return createHash("sha256").update(raw).digest("hex");
+}
+
+module.exports = {
+	headerBlock,
+	parseHeaders,
+	getHeader,
+	getMessageId,
+	decodeWords,
+	contentHash,
+};
@@ -0,0 +1,186 @@
+// --- Prometheus metrics ---
+// A small registry writing the text exposition format, served on /metrics by the
+// status server. Modules update the shared metrics below directly.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(v) {
+	return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (!entries.length) return "";
+	return "{" + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",") + "}";
+}
+
+function formatValue(v) {
+	if (v === Infinity) return "+Inf";
+	if (v === -Infinity) return "-Inf";
+	return String(v);
+}
+
+class Metric {
+	constructor(type, name, help, labelNames) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames || [];
+		this.series = new Map(); // label key -> { labels, ... }
+	}
+
+	_series(labels, init) {
+		const l = {};
+		for (const n of this.labelNames) l[n] = labels && labels[n] !== undefined ? labels[n] : "";
+		const key = JSON.stringify(l);
+		if (!this.series.has(key)) this.series.set(key, { labels: l, ...init() });
+		return this.series.get(key);
+	}
+
+	_header() {
+		return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+	}
+}
+
+class Counter extends Metric {
+	constructor(name, help, labelNames) {
+		super("counter", name, help, labelNames);
+	}
+
+	inc(labels, value) {
+		this._series(labels, () => ({ value: 0 })).value += value === undefined ? 1 : value;
+	}
+
+	render() {
+		const lines = this._header();
+		for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+		return lines;
+	}
+}
+
+// collect: optional function called on every scrape to set the current values
+class Gauge extends Metric {
+	constructor(name, help, labelNames, collect) {
+		super("gauge", name, help, labelNames);
+		this.collect = collect || null;
+	}
+
+	set(labels, value) {
+		this._series(labels, () => ({ value: 0 })).value = value;
+	}
+
+	render() {
+		if (this.collect) this.collect(this);
+		const lines = this._header();
+		for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+		return lines;
+	}
+}
+
+class Histogram extends Metric {
+	constructor(name, help, labelNames, buckets) {
+		super("histogram", name, help, labelNames);
+		this.buckets = buckets || DEFAULT_BUCKETS;
+	}
+
+	observe(labels, value) {
+		const s = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+		this.buckets.forEach((b, i) => {
+			if (value <= b) s.counts[i]++;
+		});
+		s.sum += value;
+		s.count++;
+	}
+
+	// starts a timer; calling the returned function records the elapsed seconds
+	startTimer(labels) {
+		const start = process.hrtime.bigint();
+		return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+	}
+
+	render() {
+		const lines = this._header();
+		for (const s of this.series.values()) {
+			this.buckets.forEach((b, i) => {
+				lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(b) })} ${s.counts[i]}`);
+			});
+			lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+			lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+			lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+		}
+		return lines;
+	}
+}
+
+class Registry {
+	constructor() {
+		this.metrics = [];
+	}
+
+	counter(name, help, labelNames) {
+		return this._add(new Counter(name, help, labelNames));
+	}
+
+	gauge(name, help, labelNames, collect) {
+		return this._add(new Gauge(name, help, labelNames, collect));
+	}
+
+	histogram(name, help, labelNames, buckets) {
+		return this._add(new Histogram(name, help, labelNames, buckets));
+	}
+
+	_add(metric) {
+		this.metrics.push(metric);
+		return metric;
+	}
+
+	render() {
+		return this.metrics.map((m) => m.render().join("\n")).join("\n") + "\n";
+	}
+}
+
+const registry = new Registry();
+
+// last successful sync per account, in ms
+const lastSuccess = new Map();
+
+const metrics = {
+	imported: registry.counter("pop3gmail_messages_imported_total", "Messages imported into Gmail", ["account"]),
+	failed: registry.counter("pop3gmail_messages_failed_total", "Messages that failed to be retrieved or imported", ["account"]),
+	skipped: registry.counter("pop3gmail_messages_skipped_total", "Messages not imported (duplicate, dropped by a rule)", ["account", "reason"]),
+	importedBytes: registry.counter("pop3gmail_imported_bytes_total", "Bytes of messages imported into Gmail", ["account"]),
+	scans: registry.counter("pop3gmail_messages_scanned_total", "Messages scanned before the import by result (clean, spam, quarantine, unscanned, error)", ["account", "result"]),
+	connectFailures: registry.counter("pop3gmail_connect_failures_total", "Failed connections or logins to the mail server", ["account", "protocol"]),
+	gmailErrors: registry.counter("pop3gmail_gmail_api_errors_total", "Failed Gmail API calls by HTTP status or error code", ["code"]),
+	gmailRetries: registry.counter("pop3gmail_gmail_api_retries_total", "Gmail API calls retried after a rate limit, server or network error", ["code"]),
+	gmailQuotaWait: registry.counter("pop3gmail_gmail_quota_wait_seconds_total", "Time Gmail API calls waited for the quota rate limiter"),
+	fetchDuration: registry.histogram("pop3gmail_fetch_duration_seconds", "Time to retrieve a message (POP3 RETR, IMAP FETCH)", ["account"]),
+	importDuration: registry.histogram("pop3gmail_import_duration_seconds", "Time to import a message into Gmail", ["account"]),
+	lastSuccess: registry.gauge("pop3gmail_last_success_timestamp_seconds", "Unix time of the last successful sync", ["account"], (g) => {
+		for (const [account, t] of lastSuccess) g.set({ account }, Math.floor(t / 1000));
+	}),
+	sinceLastSuccess: registry.gauge("pop3gmail_seconds_since_last_success", "Seconds since the last successful sync", ["account"], (g) => {
+		const now = Date.now();
+		for (const [account, t] of lastSuccess) g.set({ account }, Math.round((now - t) / 1000));
+	}),
+	awaitingAuth: registry.gauge("pop3gmail_oauth_awaiting_authorization", "1 while the Gmail OAuth web flow waits for authorization"),
+};
+
+function recordSuccess(account, time) {
+	lastSuccess.set(account, time || Date.now());
+}
+
+// HTTP status for googleapis errors, otherwise the error code (ECONNRESET, ...)
+function gmailErrorCode(err) {
+	if (err && err.response && err.response.status) return String(err.response.status);
+	if (err && err.code) return String(err.code);
+	return "unknown";
+}
+
+module.exports = {
+	Registry,
+	registry,
+	metrics,
+	recordSuccess,
+	gmailErrorCode,
+};
@@ -0,0 +1,187 @@
+const nodemailer = require("nodemailer");
+
+// --- Failure notifications ---
+// Alerts go to every configured channel (webhook, ntfy, gotify, smtp). An alert
+// has a key; while it is active it is not sent again until `repeat_hours` have
+// passed, and a recovery notice is sent once the problem is gone.
+
+const DEFAULTS = {
+	consecutive_failures: 3,
+	message_failures: 3,
+	repeat_hours: 24,
+};
+// failure counts of messages that were not seen again (removed from the server by
+// someone else, or counted under a key that changed) are forgotten after this
+const MESSAGE_FAILURE_TTL = 7 * 24 * 3600000;
+
+const senders = {
+	async webhook(ch, n) {
+		const res = await fetch(ch.url, {
+			method: "POST",
+			headers: { "Content-Type": "application/json", ...(ch.headers || {}) },
+			body: JSON.stringify(n),
+		});
+		if (!res.ok) throw new Error(`HTTP ${res.status}`);
+	},
+
+	// ntfy.sh or self-hosted ntfy: url includes the topic
+	async ntfy(ch, n) {
+		// headers are ASCII only, ntfy decodes RFC 2047 encoded words
+		const title = /^[\x20-\x7e]*$/.test(n.title) ? n.title : `=?UTF-8?B?${Buffer.from(n.title).toString("base64")}?=`;
+		const headers = { Title: title, Priority: String(n.severity === "error" ? ch.priority || 4 : 3), Tags: n.event };
+		if (ch.token) headers.Authorization = `Bearer ${ch.token}`;
+		const res = await fetch(ch.url, { method: "POST", headers, body: n.message });
+		if (!res.ok) throw new Error(`HTTP ${res.status}`);
+	},
+
+	async gotify(ch, n) {
+		const res = await fetch(`${ch.url.replace(/\/$/, "")}/message`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json", "X-Gotify-Key": ch.token },
+			body: JSON.stringify({ title: n.title, message: n.message, priority: n.severity === "error" ? ch.priority || 8 : 4 }),
+		});
+		if (!res.ok) throw new Error(`HTTP ${res.status}`);
+	},
+
+	async smtp(ch, n) {
+		if (!ch._transport) {
+			ch._transport = nodemailer.createTransport({
+				host: ch.host,
+				port: ch.port || 587,
+				secure: !!ch.secure, // true for port 465, otherwise STARTTLS when offered
+				auth: ch.username ? { user: ch.username, pass: ch.password } : undefined,
+			});
+		}
+		await ch._transport.sendMail({ from: ch.from, to: ch.to, subject: n.title, text: n.message });
+	},
+};
+
+class Notifier {
+	constructor(config, logger) {
+		const c = config || {};
+		this.logger = logger || console;
+		this.channels = c.channels || [];
+		for (const ch of this.channels) {
+			if (!senders[ch.type]) throw new Error(`Unknown notification channel type "${ch.type}"`);
+		}
+		this.consecutiveFailures = Math.max(1, Number(c.consecutive_failures || DEFAULTS.consecutive_failures));
+		this.messageFailures = Math.max(1, Number(c.message_failures || DEFAULTS.message_failures));
+		this.repeatMs = Number(c.repeat_hours !== undefined ? c.repeat_hours : DEFAULTS.repeat_hours) * 3600000;
+		this.active = new Map(); // alert key -> last sent time
+		this.syncFails = new Map(); // account -> consecutive failed syncs
+		this.msgFails = new Map(); // "account\0message key" -> { count, last }
+	}
+
+	// n: { event, severity, title, message, account }
+	async _send(n) {
+		const payload = { ...n, time: new Date().toISOString() };
+		await Promise.all(
+			this.channels.map((ch) =>
+				senders[ch.type](ch, payload).catch((err) => this.logger.warn(`Notification via ${ch.type} failed: ${err.message || err}`)),
+			),
+		);
+	}
+
+	// send unless the same alert went out less than repeat_hours ago
+	alert(key, n) {
+		const last = this.active.get(key);
+		if (last !== undefined && (this.repeatMs <= 0 || Date.now() - last < this.repeatMs)) return Promise.resolve();
+		this.active.set(key, Date.now());
+		this.logger.info(`Notification: ${n.title}`);
+		return this._send({ severity: "error", ...n });
+	}
+
+	// recovery notice, only when the alert was sent before
+	resolve(key, n) {
+		if (!this.active.has(key)) return Promise.resolve();
+		this.active.delete(key);
+		this.logger.info(`Notification: ${n.title}`);
+		return this._send({ event: "recovered", severity: "info", ...n });
+	}
+
+	oauthRequired() {
+		return this.alert("oauth", {
+			event: "oauth_required",
+			title: "Gmail authorization required",
+			message: "The Gmail token is missing or no longer valid, imports are stopped. Authorize again on the status page.",
+		});
+	}
+
+	oauthRecovered() {
+		return this.resolve("oauth", { title: "Gmail authorization restored", message: "Gmail access works again, imports continue." });
+	}
+
+	// result of one account run; ok false for a "fail" sync status
+	syncResult(account, ok, message) {
+		const key = `sync:${account}`;
+		if (ok) {
+			this.syncFails.delete(account);
+			return this.resolve(key, { account, title: `Sync of ${account} recovered`, message: `Account ${account} synced successfully again.` });
+		}
+		const count = (this.syncFails.get(account) || 0) + 1;
+		this.syncFails.set(account, count);
+		if (count < this.consecutiveFailures) return Promise.resolve();
+		return this.alert(key, {
+			event: "sync_failing",
+			account,
+			title: `Sync of ${account} failing`,
+			message: `Account ${account} failed ${count} times in a row. Last error: ${message || "unknown"}`,
+		});
+	}
+
+	// one message failed to import; alerts once it failed message_failures times
+	messageFailed(account, messageKey, desc, message) {
+		const id = `${account}\0${messageKey}`;
+		const now = Date.now();
+		for (const [k, f] of this.msgFails) {
+			if (now - f.last < MESSAGE_FAILURE_TTL) continue;
+			this.msgFails.delete(k);
+			this.active.delete(`message:${k}`);
+		}
+		const count = ((this.msgFails.get(id) || {}).count || 0) + 1;
+		this.msgFails.set(id, { count, last: now });
+		if (count < this.messageFailures) return Promise.resolve();
+		return this.alert(`message:${id}`, {
+			event: "message_failing",
+			account,
+			title: `Message ${desc} of ${account} keeps failing`,
+			message: `Message ${desc} of account ${account} failed ${count} times. Last error: ${message || "unknown"}`,
+		});
+	}
+
+	// the message failed too often and was put into quarantine; always sent once
+	messageQuarantined(account, messageKey, desc, message) {
+		const id = `${account}\0${messageKey}`;
+		this.msgFails.delete(id);
+		this.active.delete(`message:${id}`);
+		return this.alert(`quarantine:${id}`, {
+			event: "message_quarantined",
+			account,
+			title: `Message ${desc} of ${account} quarantined`,
+			message: `Message ${desc} of account ${account} kept failing and is no longer retried. Retry or discard it on the status page. Last error: ${message || "unknown"}`,
+		});
+	}
+
+	// the message is gone without an import (discarded) or was imported from the
+	// quarantine: forget it without a notice
+	messageDone(account, messageKey) {
+		const id = `${account}\0${messageKey}`;
+		this.msgFails.delete(id);
+		this.active.delete(`message:${id}`);
+		this.active.delete(`quarantine:${id}`);
+	}
+
+	messageSucceeded(account, messageKey, desc) {
+		const id = `${account}\0${messageKey}`;
+		if (!this.msgFails.delete(id)) return Promise.resolve();
+		return this.resolve(`message:${id}`, {
+			account,
+			title: `Message ${desc} of ${account} imported`,
+			message: `Message ${desc} of account ${account} was processed after earlier failures.`,
+		});
+	}
+}
+
+module.exports = {
+	Notifier,
+};
@@ -0,0 +1,245 @@
+const net = require("node:net");
+const tls = require("node:tls");
+
+// --- Minimal POP3 protocol client (RFC 1939, STLS from RFC 2595) ---
+// Replaces mailpop3, which cannot pass CA/servername options to TLS and whose
+// STLS upgrade no longer works on current Node versions. Responses are Buffers,
+// so message bodies are passed through byte for byte.
+
+class TlsVerificationError extends Error {
+	constructor(reason, target, cert) {
+		super(`TLS verification failed for ${target}: ${reason}` + (cert ? ` (${describeCertificate(cert)})` : ""));
+		this.name = "TlsVerificationError";
+		this.cert = cert || null;
+	}
+}
+
+function describeName(o) {
+	if (!o) return "?";
+	return Object.entries(o).map(([k, v]) => `${k}=${v}`).join(", ");
+}
+
+function describeCertificate(cert) {
+	return `subject ${describeName(cert.subject)}; issuer ${describeName(cert.issuer)}; valid ${cert.valid_from} - ${cert.valid_to}; sha256 ${cert.fingerprint256}`;
+}
+
+function normalizeFingerprint(fp) {
+	return String(fp || "").replace(/^sha256[:/]?/i, "").replace(/[^a-f0-9]/gi, "").toUpperCase();
+}
+
+// Open a TLS socket (or upgrade `opts.socket`) and verify the peer ourselves so
+// failures can report the certificate. opts: { host, port, socket, servername,
+// ca, fingerprint, insecure, timeout }. A fingerprint pin replaces CA validation.
+function secureSocket(opts) {
+	const target = `${opts.host}:${opts.port}`;
+	const servername = opts.servername || opts.host;
+	return new Promise((resolve, reject) => {
+		const sock = tls.connect({
+			host: opts.host,
+			port: opts.port,
+			socket: opts.socket,
+			servername: net.isIP(servername) ? undefined : servername,
+			checkServerIdentity: (host, cert) => tls.checkServerIdentity(servername, cert),
+			ca: opts.ca,
+			rejectUnauthorized: false,
+		});
+		if (opts.timeout) sock.setTimeout(opts.timeout, () => sock.destroy(new Error(`TLS handshake with ${target} timed out`)));
+		sock.once("error", reject);
+		sock.once("secureConnect", () => {
+			sock.setTimeout(0);
+			sock.removeListener("error", reject);
+			const cert = sock.getPeerCertificate();
+			let failure = null;
+			if (opts.fingerprint) {
+				if (normalizeFingerprint(cert.fingerprint256) !== normalizeFingerprint(opts.fingerprint)) {
+					failure = "certificate does not match tls_fingerprint";
+				}
+			} else if (!sock.authorized && !opts.insecure) {
+				failure = String(sock.authorizationError || "certificate not trusted");
+			}
+			if (failure) {
+				sock.destroy();
+				return reject(new TlsVerificationError(failure, target, cert));
+			}
+			resolve(sock);
+		});
+	});
+}
+
+// end of a multi-line response
+const TERMINATOR = Buffer.from("\r\n.\r\n");
+
+// "..foo" -> ".foo" at line starts, see RFC 1939 section 3
+function unstuff(buf) {
+	if (buf.indexOf("\r\n..") < 0 && !(buf[0] === 0x2e && buf[1] === 0x2e)) return buf;
+	return Buffer.from(buf.toString("latin1").replace(/^\.\./, ".").replace(/\r\n\.\./g, "\r\n."), "latin1");
+}
+
+class Pop3Connection {
+	constructor(socket, host, port, timeout) {
+		this.host = host;
+		this.port = port;
+		this.target = `${host}:${port}`;
+		this.timeout = timeout;
+		this.greeting = null;
+		this.secure = false;
+		// received data, joined only once a response is complete
+		this._chunks = [];
+		this._length = 0;
+		this._pending = null;
+		this._error = null;
+		this._onData = (chunk) => {
+			this._chunks.push(chunk);
+			this._length += chunk.length;
+			this._drain();
+		};
+		this._onError = (err) => this._fail(err);
+		this._onClose = () => this._fail(new Error(`POP3 connection to ${this.target} closed`));
+		this._attach(socket);
+	}
+
+	// opts: { host, port, timeout, tls } where tls holds secureSocket options for implicit TLS
+	static async connect(opts) {
+		let socket;
+		if (opts.tls) {
+			socket = await secureSocket({ ...opts.tls, host: opts.host, port: opts.port, timeout: opts.timeout });
+		} else {
+			socket = await new Promise((resolve, reject) => {
+				const s = net.createConnection(opts.port, opts.host);
+				if (opts.timeout) s.setTimeout(opts.timeout, () => s.destroy(new Error(`POP3 connection to ${opts.host}:${opts.port} timed out`)));
+				s.once("error", reject);
+				s.once("connect", () => {
+					s.setTimeout(0);
+					s.removeListener("error", reject);
+					resolve(s);
+				});
+			});
+		}
+		const conn = new Pop3Connection(socket, opts.host, opts.port, opts.timeout);
+		conn.secure = !!opts.tls;
+		const res = await conn.command(null);
+		if (!res.ok) {
+			conn.close();
+			throw new Error(`POP3 server ${conn.target} refused connection: ${res.line}`);
+		}
+		conn.greeting = res.line;
+		return conn;
+	}
+
+	_attach(socket) {
+		this.socket = socket;
+		socket.on("data", this._onData);
+		socket.on("error", this._onError);
+		socket.on("close", this._onClose);
+		if (this.timeout) {
+			socket.setTimeout(this.timeout, () => socket.destroy(new Error(`POP3 connection to ${this.target} timed out`)));
+		}
+	}
+
+	_detach() {
+		this.socket.removeListener("data", this._onData);
+		this.socket.removeListener("error", this._onError);
+		this.socket.removeListener("close", this._onClose);
+		this.socket.setTimeout(0);
+	}
+
+	_fail(err) {
+		if (!this._error) this._error = err;
+		const p = this._pending;
+		this._pending = null;
+		if (p) p.reject(err);
+	}
+
+	_join() {
+		if (this._chunks.length !== 1) this._chunks = [Buffer.concat(this._chunks, this._length)];
+		return this._chunks[0];
+	}
+
+	_consume(n) {
+		const rest = this._join().subarray(n);
+		this._chunks = rest.length ? [rest] : [];
+		this._length = rest.length;
+	}
+
+	// offset of the terminator in the received data, -1 while it has not arrived.
+	// Every chunk is searched once; the 4 bytes before it find a terminator split
+	// across chunks.
+	_findEnd(scan) {
+		for (; scan.chunk < this._chunks.length; scan.chunk++) {
+			const chunk = this._chunks[scan.chunk];
+			if (scan.tail.length) {
+				const seam = Buffer.concat([scan.tail, chunk.subarray(0, 4)]).indexOf(TERMINATOR);
+				if (seam >= 0) return scan.base - scan.tail.length + seam;
+			}
+			const i = chunk.indexOf(TERMINATOR, scan.from);
+			if (i >= 0) return scan.base + i;
+			scan.tail = chunk.length >= 4 ? chunk.subarray(-4) : Buffer.concat([scan.tail, chunk]).subarray(-4);
+			scan.base += chunk.length;
+			scan.from = 0;
+		}
+		return -1;
+	}
+
+	_drain() {
+		const p = this._pending;
+		if (!p) return;
+		if (p.line === undefined) {
+			// the status line is short, the chunks are joined until it is complete
+			const eol = this._join().indexOf("\r\n");
+			if (eol < 0) return;
+			p.line = this._chunks[0].subarray(0, eol).toString("utf8");
+			p.eol = eol;
+			p.scan = { chunk: 0, base: 0, from: eol, tail: Buffer.alloc(0) };
+		}
+		// "+OK" and SASL continuations ("+ ...") are positive
+		const ok = p.line.startsWith("+");
+		let body = null;
+		let consumed = p.eol + 2;
+		if (p.multiline && p.line.startsWith("+OK")) {
+			const end = this._findEnd(p.scan);
+			if (end < 0) return;
+			body = unstuff(this._join().subarray(p.eol + 2, end + 2));
+			consumed = end + 5;
+		}
+		this._consume(consumed);
+		this._pending = null;
+		p.resolve({ ok, line: p.line, body });
+	}
+
+	// send a command (null only reads the next response); resolves { ok, line, body }
+	command(line, multiline) {
+		if (this._error) return Promise.reject(this._error);
+		if (this._pending) return Promise.reject(new Error("POP3 command already in progress"));
+		return new Promise((resolve, reject) => {
+			this._pending = { resolve, reject, multiline: !!multiline };
+			if (line !== null) this.socket.write(line + "\r\n");
+			this._drain();
+		});
+	}
+
+	// STLS: upgrade the plain connection, opts as for secureSocket
+	async upgradeTls(opts) {
+		this._detach();
+		let secured;
+		try {
+			secured = await secureSocket({ ...opts, host: this.host, port: this.port, socket: this.socket, timeout: this.timeout });
+		} catch (err) {
+			this._error = err;
+			this.socket.destroy();
+			throw err;
+		}
+		this._chunks = [];
+		this._length = 0;
+		this._attach(secured);
+		this.secure = true;
+	}
+
+	close() {
+		if (this.socket && !this.socket.destroyed) this.socket.destroy();
+	}
+}
+
+module.exports = {
+	Pop3Connection,
+	TlsVerificationError,
+};
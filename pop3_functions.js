@@ -1,89 +1,296 @@
-const POP3Client = require("mailpop3");
+const { readFileSync } = require("node:fs");
+const { createHash, createHmac } = require("node:crypto");
+const { Pop3Connection } = require("./pop3_client.js");
+const { getAccessToken } = require("./pop3_oauth.js");
+let logger = console; // default logger
+
+const TLS_MODES = ["implicit", "starttls", "none"];
+const AUTH_METHODS = ["auto", "user", "apop", "plain", "cram-md5", "xoauth2"];
+
+// tls_mode: implicit (TLS from the first byte, port 995), starttls (STLS on a
+// plain connection, port 110) or none. Without tls_mode the legacy `tls`/`ssl`
+// flags select implicit TLS, otherwise port 995 (or no port) means implicit and
+// any other port STARTTLS. Plain text is never chosen implicitly.
+function resolveTlsMode(account) {
+	if (account.tls_mode !== undefined) {
+		if (!TLS_MODES.includes(account.tls_mode)) throw new Error(`Invalid tls_mode "${account.tls_mode}", expected one of ${TLS_MODES.join(", ")}`);
+		return account.tls_mode;
+	}
+	if (account.tls || account.ssl) return "implicit";
+	if (!account.port || Number(account.port) === 995) return "implicit";
+	return "starttls";
+}
+
+function tlsOptions(account) {
+	return {
+		servername: account.servername || undefined,
+		ca: account.ca_file ? readFileSync(account.ca_file) : undefined,
+		fingerprint: account.tls_fingerprint || undefined,
+		insecure: !!account.insecure_skip_verify,
+	};
+}
 
 // --- POP3 helpers (promise wrappers) ---
-function popConnect(account) {
-	return new Promise((resolve, reject) => {
-		const options = {
-			ignoretlserrs: true,
-			enabletls: !!account.tls,
-			tlsDirectOpts: !!account.ssl,
-			debug: false,
-			timeout: account.timeout_ms || 30000,
-		};
-
-		const client = new POP3Client(account.port || 995, account.server, options);
-
-		client.on("error", (err) => {
-			reject(err);
-		});
-
-		client.on("connect", () => {
-			client.login(account.username, account.password);
-		});
-
-		client.on("login", (status, rawdata) => {
-			if (status) resolve(client);
-			else reject(new Error("POP3 login failed: " + rawdata));
-		});
-
-		// callers will use retr/list/dele/quit
+async function popConnect(account) {
+	const mode = resolveTlsMode(account);
+	if (account.tls_mode === undefined && (account.tls !== undefined || account.ssl !== undefined)) {
+		logger.warn(`Account ${account.name}: "tls"/"ssl" are deprecated, use tls_mode: ${mode}`);
+	}
+	if (mode === "none") {
+		logger.warn(`Account ${account.name} connects without TLS, the password is sent in plain text`);
+	} else if (account.insecure_skip_verify && !account.tls_fingerprint) {
+		logger.warn(`Account ${account.name}: TLS certificate verification is disabled (insecure_skip_verify)`);
+	}
+	const tlsOpts = mode === "none" ? null : tlsOptions(account);
+
+	const pop = await Pop3Connection.connect({
+		host: account.server,
+		port: Number(account.port || (mode === "implicit" ? 995 : 110)),
+		timeout: account.timeout_ms || 30000,
+		tls: mode === "implicit" ? tlsOpts : null,
 	});
+	try {
+		if (mode === "starttls") {
+			const res = await pop.command("STLS");
+			if (!res.ok) throw new Error("POP3 server refused STLS: " + res.line);
+			await pop.upgradeTls(tlsOpts);
+		}
+		await popLogin(pop, account);
+	} catch (err) {
+		pop.close();
+		throw err;
+	}
+	return pop;
 }
 
-function popStat(pop) {
-	return new Promise((resolve, reject) => {
-		pop.on("stat", function (status, data, rawdata) {
-			if (status) resolve(data);
-			else reject(new Error("POP3 STAT failed: " + rawdata));
-		});
-		pop.stat();
-	});
+// --- Authentication: USER/PASS, APOP and SASL (RFC 5034) ---
+
+// returns { sasl: [mechanisms], user } or null when the server has no CAPA
+async function popCapa(pop) {
+	const res = await pop.command("CAPA", true);
+	if (!res.ok) return null;
+	const caps = { sasl: [], user: false };
+	for (const line of res.body.toString("latin1").split("\r\n")) {
+		const parts = line.trim().split(/\s+/);
+		const name = parts[0].toUpperCase();
+		if (name === "SASL") caps.sasl = parts.slice(1).map((m) => m.toUpperCase());
+		else if (name === "USER") caps.user = true;
+	}
+	return caps;
 }
 
-function popRetr(pop, n) {
-	return new Promise((resolve, reject) => {
-		pop.on("retr", function (status, msgnumber, data, rawdata) {
-			if (status) resolve(data);
-			else
-				reject(
-					new Error(
-						"POP3 RETR failed for message " + msgnumber + ": " + rawdata
-					)
-				);
-		});
-		pop.retr(n);
-	});
+// the <...@...> timestamp in the greeting, required for APOP
+function apopTimestamp(greeting) {
+	const m = String(greeting || "").match(/<[^<>\s]+@[^<>\s]+>/);
+	return m ? m[0] : null;
 }
 
-function popDele(pop, n) {
-	return new Promise((resolve, reject) => {
-		pop.on("dele", function (status, msgnumber, rawdata) {
-			if (status) resolve();
-			else
-				reject(
-					new Error(
-						"POP3 DELE failed for message " + msgnumber + ": " + rawdata
-					)
-				);
-		});
-		pop.dele(n);
-	});
+// auth: auto picks the strongest mechanism the server offers
+function chooseAuth(account, caps, greeting) {
+	const auth = String(account.auth || "user").toLowerCase();
+	if (!AUTH_METHODS.includes(auth)) throw new Error(`Invalid auth "${account.auth}", expected one of ${AUTH_METHODS.join(", ")}`);
+	if (auth !== "auto") return auth;
+	const sasl = caps ? caps.sasl : [];
+	if (account.oauth2 && sasl.includes("XOAUTH2")) return "xoauth2";
+	if (sasl.includes("CRAM-MD5")) return "cram-md5";
+	if (apopTimestamp(greeting)) return "apop";
+	if (sasl.includes("PLAIN")) return "plain";
+	return "user";
 }
 
-function popQuit(pop) {
-	return new Promise((resolve) => {
-		pop.on("quit", function (status, rawdata) {
-			// ignore status
-			resolve();
-		});
-		pop.quit();
-	});
+function b64(str) {
+	return Buffer.from(str, "utf8").toString("base64");
+}
+
+function isContinuation(res) {
+	return res.line === "+" || res.line.startsWith("+ ");
+}
+
+async function saslStart(pop, mechanism) {
+	const res = await pop.command("AUTH " + mechanism);
+	if (!isContinuation(res)) throw new Error(`POP3 AUTH ${mechanism} refused: ${res.line}`);
+	return res.line.slice(2).trim();
+}
+
+function checkFinal(res, method) {
+	if (!res.line.startsWith("+OK")) throw new Error(`POP3 login failed (${method}): ${res.line}`);
+}
+
+const authenticators = {
+	async user(pop, account) {
+		const user = await pop.command("USER " + account.username);
+		if (!user.ok) throw new Error("POP3 login failed: " + user.line);
+		const pass = await pop.command("PASS " + account.password);
+		if (!pass.ok) throw new Error("POP3 login failed: " + pass.line);
+	},
+
+	async apop(pop, account) {
+		const ts = apopTimestamp(pop.greeting);
+		if (!ts) throw new Error("POP3 server does not support APOP (no timestamp in greeting)");
+		const digest = createHash("md5").update(ts + account.password).digest("hex");
+		checkFinal(await pop.command(`APOP ${account.username} ${digest}`), "APOP");
+	},
+
+	async plain(pop, account) {
+		await saslStart(pop, "PLAIN");
+		checkFinal(await pop.command(b64(`\0${account.username}\0${account.password}`)), "PLAIN");
+	},
+
+	async "cram-md5"(pop, account) {
+		const challenge = Buffer.from(await saslStart(pop, "CRAM-MD5"), "base64").toString("latin1");
+		const digest = createHmac("md5", account.password).update(challenge).digest("hex");
+		checkFinal(await pop.command(b64(`${account.username} ${digest}`)), "CRAM-MD5");
+	},
+
+	async xoauth2(pop, account) {
+		const token = await getAccessToken(account);
+		await saslStart(pop, "XOAUTH2");
+		let res = await pop.command(b64(`user=${account.username}\x01auth=Bearer ${token}\x01\x01`));
+		if (isContinuation(res)) {
+			// the server sends error details as a challenge, answered with an empty line
+			const details = Buffer.from(res.line.slice(2).trim(), "base64").toString("utf8");
+			res = await pop.command("");
+			throw new Error(`POP3 login failed (XOAUTH2): ${details || res.line}`);
+		}
+		checkFinal(res, "XOAUTH2");
+	},
+};
+
+async function popLogin(pop, account) {
+	const wanted = String(account.auth || "user").toLowerCase();
+	// only ask for capabilities when they matter
+	const caps = wanted === "auto" ? await popCapa(pop) : null;
+	const method = chooseAuth(account, caps, pop.greeting);
+	await authenticators[method](pop, account);
+	logger.info(`Logged in to ${account.name} using ${method.toUpperCase()}`);
+	return method;
+}
+
+async function popStat(pop) {
+	const res = await pop.command("STAT");
+	if (!res.ok) throw new Error("POP3 STAT failed: " + res.line);
+	const parts = res.line.split(" ");
+	return { count: Number(parts[1] || 0), octets: Number(parts[2] || 0) };
+}
+
+// "+OK" multiline listing of "<number> <value>" lines
+function parseListing(body) {
+	const out = [];
+	for (const line of body.toString("latin1").split("\r\n")) {
+		const parts = line.trim().split(/\s+/);
+		if (parts.length >= 2 && /^\d+$/.test(parts[0])) out.push([Number(parts[0]), parts[1]]);
+	}
+	return out;
+}
+
+// returns [{ number, uid }] for every message in the maildrop
+async function popUidl(pop) {
+	const res = await pop.command("UIDL", true);
+	if (!res.ok) throw new Error("POP3 UIDL failed: " + res.line);
+	return parseListing(res.body).map(([number, uid]) => ({ number, uid }));
+}
+
+// returns [{ number, size }] for every message in the maildrop
+async function popList(pop) {
+	const res = await pop.command("LIST", true);
+	if (!res.ok) throw new Error("POP3 LIST failed: " + res.line);
+	return parseListing(res.body).map(([number, size]) => ({ number, size: Number(size) }));
+}
+
+// returns the raw message as a Buffer
+async function popRetr(pop, n) {
+	const res = await pop.command("RETR " + n, true);
+	if (!res.ok) throw new Error("POP3 RETR failed for message " + n + ": " + res.line);
+	return res.body;
+}
+
+// returns the headers of a message (and `lines` lines of its body) as a Buffer
+async function popTop(pop, n, lines) {
+	const res = await pop.command(`TOP ${n} ${lines || 0}`, true);
+	if (!res.ok) throw new Error("POP3 TOP failed for message " + n + ": " + res.line);
+	return res.body;
+}
+
+async function popDele(pop, n) {
+	const res = await pop.command("DELE " + n);
+	if (!res.ok) throw new Error("POP3 DELE failed for message " + n + ": " + res.line);
+}
+
+async function popQuit(pop) {
+	try {
+		// ignore status
+		await pop.command("QUIT");
+	} catch (e) {
+		// connection already gone
+	}
+	pop.close();
+}
+
+function setPopLogger(customLogger) {
+	logger = customLogger;
+}
+
+// --- POP3 source, the common interface shared with imap_functions.js ---
+// Items are { number, uid, uidl, size, desc }; uid is only set with leave_on_server
+// (UIDL). Without it uidl still holds the UIDL when the server has the command, so
+// quarantined messages are recognised before they are retrieved.
+async function openPop3Source(account) {
+	const pop = await popConnect(account);
+	return {
+		protocol: "pop3",
+		pop,
+
+		async list() {
+			const sizes = new Map((await popList(pop)).map((m) => [m.number, m.size]));
+			if (account.leave_on_server) {
+				const list = await popUidl(pop);
+				return list.map((m) => ({ number: m.number, uid: m.uid, uidl: m.uid, size: sizes.get(m.number), desc: `#${m.number} (UID ${m.uid})` }));
+			}
+			let uidls = new Map();
+			try {
+				uidls = new Map((await popUidl(pop)).map((m) => [m.number, m.uid]));
+			} catch (err) {
+				if (!/UIDL failed/.test(err.message)) throw err;
+				logger.info(`${account.name}: ${err.message}, quarantined messages are recognised after retrieval`);
+			}
+			return [...sizes].map(([number, size]) => ({ number, uid: null, uidl: uidls.get(number) || null, size, desc: `#${number}` }));
+		},
+
+		fetch(item) {
+			return popRetr(pop, item.number);
+		},
+
+		// headers only, for the dry run
+		fetchHeaders(item) {
+			return popTop(pop, item.number, 0);
+		},
+
+		// DELE; for leave_on_server accounts the caller remembers the UID instead
+		async markDone(item) {
+			await popDele(pop, item.number);
+		},
+
+		async remove(item) {
+			await popDele(pop, item.number);
+		},
+
+		async close() {
+			await popQuit(pop);
+		},
+	};
 }
 
 module.exports = {
+	setPopLogger,
+	resolveTlsMode,
+	openPop3Source,
 	popConnect,
+	popCapa,
 	popStat, 
+	popUidl,
+	popList,
 	popRetr,
+	popTop,
 	popDele,
 	popQuit,
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { chmodSync, existsSync, readFileSync, writeFileSync } = require("node:fs");
+const { google } = require("googleapis");
+const { cipherFromConfig, isEncrypted } = require("./secrets.js");
+let logger = console; // default logger
+let cipher = cipherFromConfig(null); // token file encryption, see setOauthCipher
+
+// --- OAuth2 access tokens for XOAUTH2 POP3 login ---
+// Same approach as GmailClient: an OAuth2 client loaded from a token file, with
+// refreshed tokens written back to that file. The token endpoint is configurable
+// so non-Google providers (e.g. Microsoft 365) work too. The token file must hold
+// a refresh_token obtained beforehand. Like the Gmail token file it is only
+// readable by its owner and encrypted when a key is configured.
+
+const MICROSOFT_TOKEN_URL = "https://login.microsoftonline.com/common/oauth2/v2.0/token";
+const clients = new Map(); // account name -> OAuth2 client
+
+function readToken(file) {
+	return JSON.parse(cipher.decrypt(readFileSync(file, "utf8")));
+}
+
+function saveToken(file, token) {
+	writeFileSync(file, cipher.encrypt(JSON.stringify(token, null, 2)), { mode: 0o600 });
+	// the mode only applies to new files
+	chmodSync(file, 0o600);
+}
+
+function getClient(account) {
+	if (clients.has(account.name)) return clients.get(account.name);
+	const o = account.oauth2 || {};
+	if (!o.client_id || !o.token_file) throw new Error(`Account ${account.name}: oauth2.client_id and oauth2.token_file are required for XOAUTH2`);
+	if (!existsSync(o.token_file)) throw new Error(`Account ${account.name}: missing OAuth2 token file ${o.token_file}`);
+
+	const client = new google.auth.OAuth2({
+		clientId: o.client_id,
+		clientSecret: o.client_secret,
+		endpoints: { oauth2TokenUrl: o.token_url || MICROSOFT_TOKEN_URL },
+	});
+	const text = readFileSync(o.token_file, "utf8");
+	const token = JSON.parse(cipher.decrypt(text));
+	// encrypt a token file written before the key was set
+	if (cipher.enabled && !isEncrypted(text)) {
+		saveToken(o.token_file, token);
+		logger.info(`Encrypted POP3 OAuth2 token file ${o.token_file}`);
+	}
+	client.setCredentials(token);
+
+	// persist refreshed tokens, keeping the refresh token when the provider does not rotate it
+	client.on("tokens", (tokens) => {
+		try {
+			const current = existsSync(o.token_file) ? readToken(o.token_file) : {};
+			saveToken(o.token_file, { ...current, ...tokens });
+			logger.info(`Saved POP3 OAuth2 token for ${account.name} to ${o.token_file}`);
+		} catch (err) {
+			logger.warn(`Failed to persist POP3 OAuth2 token for ${account.name}: ${err.message || err}`);
+		}
+	});
+	clients.set(account.name, client);
+	return client;
+}
+
+// returns a valid access token, refreshing it when needed
+async function getAccessToken(account) {
+	const res = await getClient(account).getAccessToken();
+	if (!res.token) throw new Error(`Account ${account.name}: no OAuth2 access token available`);
+	return res.token;
+}
+
+function setOauthLogger(customLogger) {
+	logger = customLogger;
+}
+
+// cipher from cipherFromConfig; set before the first login
+function setOauthCipher(customCipher) {
+	cipher = customCipher;
+}
+
+module.exports = {
+	getAccessToken,
+	setOauthLogger,
+	setOauthCipher,
+};
@@ -6,18 +6,51 @@
 */
 "use strict";
 
-const { existsSync, mkdirSync, readFileSync, unlink } = require("node:fs");
+const { existsSync, mkdirSync, readFileSync } = require("node:fs");
 const path = require("node:path");
-const http = require("node:http");
+const readline = require("node:readline/promises");
 const url = require("node:url");
+const { parseArgs } = require("node:util");
 
-const { parse } = require("yaml");
-const { popConnect, popStat, popRetr, popDele, popQuit } = require("./pop3_functions.js");
-const { setGfLogger, getAuthWaiter, finishAuthWaiter, GmailClient } = require("./gmail_functions.js");
+const { setPopLogger, openPop3Source, popStat } = require("./pop3_functions.js");
+const { openImapSource } = require("./imap_functions.js");
+const { setOauthLogger, setOauthCipher } = require("./pop3_oauth.js");
+const { setGfLogger, checkAuthState, GmailClient, GMAIL_MAX_MESSAGE_SIZE, isMessageRejected } = require("./gmail_functions.js");
+const { applyFilters } = require("./gmail_filters.js");
 // stats store will be created after loading config so we can pass a path from config
 let stats = null;
 const { StatsStore } = require("./stats_store.js");
-const destroyer = require("server-destroy");
+// UID store for accounts that leave messages on the server, also created after loading config
+let uids = null;
+const { UidStore } = require("./uid_store.js");
+// journal of imported messages used to never import a message twice
+let journal = null;
+const { ImportJournal } = require("./import_journal.js");
+// audit log of every processed message, for the history page
+let history = null;
+const { AuditLog } = require("./audit_log.js");
+// local copies of retrieved messages, per account with `archive` set
+const { MessageArchive } = require("./message_archive.js");
+const archives = new Map();
+// messages that failed too often, created after loading config
+let quarantine = null;
+const { Quarantine } = require("./quarantine.js");
+const { parseHeaders, getHeader, getMessageId, decodeWords, contentHash } = require("./message_utils.js");
+const { compileRules, evaluateRules, systemLabels } = require("./rules.js");
+const { compileTransforms, applyTransforms, prependHeaders } = require("./transforms.js");
+const { Scanner } = require("./scanner.js");
+const { Scheduler } = require("./scheduler.js");
+let scheduler = null;
+const { startStatusServer } = require("./status_server.js");
+const { metrics, recordSuccess } = require("./metrics.js");
+// notifications about failing syncs and expired OAuth, created after loading config
+let notifier = null;
+const { Notifier } = require("./notifier.js");
+const { ConfigError, loadConfig, ConfigWatcher } = require("./config_loader.js");
+const { cipherFromConfig } = require("./secrets.js");
+// the running config, replaced when the config file changes (run command only)
+let currentCfg = null;
+let configWatcher = null;
 let httpServer = null;
 let gmailclient = null;
 
@@ -29,6 +62,8 @@ const DEFAULT_LOG_DIR = path.normalize(process.env.LOG_DIR || "./logs");
 if (!existsSync(DEFAULT_LOG_DIR))
 	mkdirSync(DEFAULT_LOG_DIR, { recursive: true });
 
+// silenced by commands whose output is meant for scripts (stats --json, ...)
+const consoleTransport = new transports.Console();
 const logger = createLogger({
 	level: "info",
 	format: format.combine(
@@ -38,7 +73,7 @@ const logger = createLogger({
 		)
 	),
 	transports: [
-		new transports.Console(),
+		consoleTransport,
 		new DailyRotateFile({
 			dirname: DEFAULT_LOG_DIR,
 			filename: "pop3_to_gmail-%DATE%.log",
@@ -51,267 +86,795 @@ const logger = createLogger({
 	exitOnError: false,
 });
 
-// --- Utility & config ---
+let shuttingDown = false;
 
-function loadConfig(fp) {
-	const txt = readFileSync(fp, "utf8");
-	const cfg = parse(txt);
-	// sanity defaults
-	if (!cfg.gmail) {
-		cfg.gmail = {
-			client_secrets_file: "credentials.json",
-			token_file: "token.json",
-		};
+// --- Import with de-duplication ---
+// Checks the journal (and Gmail when asked to) before importing. Returns
+// { id, duplicate, result }; duplicate means the message is already in Gmail.
+// `upload` is the message as sent to Gmail (after the transforms), the journal
+// keeps the hash of the retrieved one.
+async function importOnce(account, rawBuf, headers, labelIds, gmailclient, upload) {
+	const messageId = getMessageId(headers);
+	const hash = contentHash(rawBuf);
+
+	const entry = journal.lookup(account.name, messageId, hash);
+	if (entry && entry.state === "imported") {
+		return { id: entry.gmail_id, duplicate: true };
+	}
+	// a pending entry means an earlier run stopped between import and DELE
+	if (entry && !messageId) {
+		logger.warn(`Message in ${account.name} may have been imported before but has no Message-ID to verify, importing again`);
 	}
-	return cfg;
+	// mailing lists, resends and broken senders reuse Message-IDs: only the same
+	// content is a duplicate, and Gmail would find the other message
+	const other = !entry && messageId ? journal.lookup(account.name, messageId, null) : null;
+	const reused = !!other && other.state === "imported";
+	if (reused) logger.warn(`Message ${messageId} in ${account.name} differs from the one imported before with the same Message-ID, importing it`);
+	if (messageId && !reused && (entry || gmailclient.checkDuplicates)) {
+		const existing = await gmailclient.findByMessageId(messageId);
+		if (existing) {
+			journal.markImported(account.name, messageId, hash, existing);
+			return { id: existing, duplicate: true };
+		}
+	}
+
+	journal.markPending(account.name, messageId, hash);
+	let result;
+	try {
+		result = await gmailclient.importMessage(upload || rawBuf, labelIds);
+	} catch (err) {
+		// counts towards the quarantine, see handleMessage
+		if (isMessageRejected(err)) err.messageRejected = true;
+		throw err;
+	}
+	if (!result || !result.id) return { id: null, duplicate: false, result };
+	journal.markImported(account.name, messageId, hash, result.id);
+	return { id: result.id, duplicate: false, result };
 }
 
-let shuttingDown = false;
-function wait(ms) {
-	return new Promise((resolve) => setTimeout(resolve, ms));
+// --- Single message: retrieve, apply rules, import ---
+// Returns 'imported', 'duplicate' or 'dropped' when the message is done with and
+// may be deleted (or marked as seen), 'quarantined' when it failed too often or
+// the scanner says so, 'held' or 'discarded' for a message quarantined before and
+// null when it should be tried again next cycle.
+// `audit` is filled with what is known about the message for the history.
+async function handleMessage(ctx, item, audit) {
+	const { account, source } = ctx;
+	const desc = item.desc;
+	logger.info(`Retrieving message ${desc} from ${account.name}`);
+	const fetchTimer = metrics.fetchDuration.startTimer({ account: account.name });
+	const rawBuf = await source.fetch(item);
+	fetchTimer();
+	// without a UID the quarantine knows a message by its content
+	const key = Quarantine.keyOf(item, rawBuf);
+	if (!item.key && !item.uid) {
+		item.hash = key;
+		const held = quarantine.held(account.name, key);
+		if (held) return held;
+	}
+	// keep a local copy before anything else happens to the message
+	if (ctx.archive && ctx.archive.store(rawBuf)) logger.info(`Archived message ${desc} from ${account.name}`);
+	const info = () => ({ uidl: item.uidl || null, source_id: desc, label: item.label || null, message_id: audit.message_id, from: audit.from, subject: audit.subject, size: audit.size });
+	let entry;
+	try {
+		const done = await importRetrieved(ctx, item, rawBuf, audit);
+		if (done !== "quarantined") {
+			if (done) quarantine.succeeded(account.name, key);
+			return done;
+		}
+		entry = quarantine.hold(account.name, key, rawBuf, info(), audit.error);
+		logger.warn(`Message ${desc} from ${account.name} quarantined as ${entry.file}: ${audit.error}`);
+	} catch (err) {
+		// only Gmail refusing the message itself counts: labels, the journal, the
+		// network or a scanner that is down are not the message's fault
+		if (!err.messageRejected) throw err;
+		const error = err.message || String(err);
+		entry = quarantine.recordFailure(account.name, key, rawBuf, info(), error);
+		if (!entry.file) throw err;
+		logger.warn(`Message ${desc} from ${account.name} failed ${entry.attempts} times, quarantined as ${entry.file}: ${error}`);
+		metrics.failed.inc({ account: account.name });
+		stats.recordFailure(account.name);
+		audit.error = error;
+	}
+	notifier.messageQuarantined(account.name, key, desc, audit.error);
+	if (quarantine.deleteFromServer) {
+		// IMAP: the after_import action
+		await (source.protocol === "imap" ? source.markDone(item) : source.remove(item));
+		quarantine.markDeleted(entry.id);
+		logger.info(`Removed quarantined message ${desc} from ${account.name}`);
+	}
+	return "quarantined";
+}
+
+// rules, labels and the import of a retrieved message, see handleMessage
+async function importRetrieved(ctx, item, rawBuf, audit) {
+	const { account, gmailclient } = ctx;
+	const desc = item.desc;
+	const headers = parseHeaders(rawBuf);
+	Object.assign(audit, {
+		message_id: getMessageId(headers),
+		from: decodeWords(getHeader(headers, "from")),
+		subject: decodeWords(getHeader(headers, "subject")),
+		date: getHeader(headers, "date"),
+		size: rawBuf.length,
+	});
+
+	const outcome = evaluateRules(ctx.rules, { headers, size: rawBuf.length });
+	for (const hit of outcome.hits) {
+		logger.info(`Rule ${hit} matched message ${desc} from ${account.name}`);
+		stats.recordRuleHit(account.name, hit);
+	}
+	if (outcome.drop) {
+		logger.info(`Dropping message ${desc} from ${account.name} without importing`);
+		metrics.skipped.inc({ account: account.name, reason: "dropped" });
+		return "dropped";
+	}
+
+	// messages imported before (retried from the quarantine) are not scanned again
+	const known = ctx.scanner && journal.lookup(account.name, audit.message_id, contentHash(rawBuf));
+	const scan = ctx.scanner && !(known && known.state === "imported") ? await scanMessage(ctx, item, rawBuf, audit) : null;
+	if (scan && scan.result === "quarantine") {
+		audit.error = `scan: ${scan.detail}`;
+		return "quarantined";
+	}
+
+	let labelIds = [await ctx.resolveLabel(ctx.labelName)];
+	// IMAP folders can map to their own label
+	for (const name of item.label ? [item.label, ...outcome.labels] : outcome.labels) {
+		const id = await ctx.resolveLabel(name);
+		if (!labelIds.includes(id)) labelIds.push(id);
+	}
+	labelIds.push(...systemLabels(outcome));
+
+	// the user's own Gmail filters, as Gmail would have applied them on delivery
+	let trash = false;
+	if (gmailclient.applyFilters) {
+		const msg = { headers, size: rawBuf.length, text: rawBuf.toString("latin1") };
+		const filtered = applyFilters(await gmailclient.getFilters(), msg, labelIds);
+		for (const id of filtered.hits) logger.info(`Gmail filter ${id} matched message ${desc} from ${account.name}`);
+		labelIds = filtered.labelIds;
+		trash = filtered.trash;
+	}
+	// spam goes to Gmail's spam folder instead of the inbox
+	if (scan && scan.result === "spam") labelIds = [...labelIds.filter((id) => id !== "INBOX"), "SPAM"];
+
+	audit.labels = labelIds.map(ctx.labelNameOf);
+
+	// import into Gmail
+	const upload = prependHeaders(applyTransforms(ctx.transforms, rawBuf, { account }), scan ? scan.headers : []);
+	const importTimer = metrics.importDuration.startTimer({ account: account.name });
+	const imported = await importOnce(account, rawBuf, headers, labelIds, gmailclient, upload);
+	importTimer();
+	audit.gmail_id = imported.id || null;
+	if (imported.duplicate) {
+		logger.info(`Skipped duplicate message ${desc}, already imported as Gmail ID ${imported.id}`);
+		stats.recordDuplicate(account.name);
+		metrics.skipped.inc({ account: account.name, reason: "duplicate" });
+		return "duplicate";
+	}
+	if (imported.id) {
+		logger.info(`Imported message ${desc} => Gmail ID ${imported.id}`);
+		if (trash) {
+			try {
+				await gmailclient.trashMessage(imported.id);
+				logger.info(`Moved Gmail ID ${imported.id} to trash (Gmail filter)`);
+			} catch (err) {
+				logger.warn(`Failed to trash Gmail ID ${imported.id}: ${err.message || err}`);
+			}
+		}
+		stats.recordImport(account.name, rawBuf.length);
+		metrics.imported.inc({ account: account.name });
+		metrics.importedBytes.inc({ account: account.name }, rawBuf.length);
+		return "imported";
+	}
+	logger.warn(`Import returned no id for account ${account.name} message ${desc}: ${JSON.stringify(imported.result)}`);
+	metrics.failed.inc({ account: account.name });
+	stats.recordFailure(account.name);
+	audit.error = "Import returned no Gmail id";
+	return null;
 }
 
-// --- HTTP server stuff ---
+// the scanner's verdict for a message, null when it was not scanned (too large, or
+// the scanner failed and on_error is import); a failed scan throws otherwise
+async function scanMessage(ctx, item, rawBuf, audit) {
+	const { account, scanner } = ctx;
+	let scan;
+	try {
+		scan = await scanner.scan(rawBuf);
+	} catch (err) {
+		metrics.scans.inc({ account: account.name, result: "error" });
+		stats.recordScan(account.name, "error");
+		if (scanner.onError !== "import") throw err;
+		logger.warn(`Scanning message ${item.desc} from ${account.name} failed, importing it unscanned: ${err.message}`);
+		audit.scan = `error: ${err.message}`;
+		return null;
+	}
+	const result = scan ? scan.result : "unscanned";
+	metrics.scans.inc({ account: account.name, result });
+	stats.recordScan(account.name, result);
+	if (!scan) {
+		logger.info(`Message ${item.desc} from ${account.name} is too large to scan, importing it unscanned`);
+		audit.scan = "unscanned (size)";
+		return null;
+	}
+	logger.info(`Scanned message ${item.desc} from ${account.name}: ${result}, ${scan.detail}`);
+	audit.scan = `${result}, ${scan.detail}`;
+	return scan;
+}
+
+// a message's id from the listing: the UID, else (POP3 without leave_on_server)
+// its number and size
+function listKey(item) {
+	return String(item.key || item.uid || `${item.desc}:${item.size}`);
+}
 
-// Start a simple status HTTP server (idempotent). Exposes:
-// - GET /oauthcallback?code=...&state=... -> handles OAuth callbacks if registered
-// - GET /status -> simple HTML table
-function startStatusServer(statsStore, port, secondhop) {
-	if (httpServer) return httpServer;
-	const p = Number(port || process.env.STATUS_PORT || 3000);
-	httpServer = http.createServer((req, res) => {
+// a message's id for the failure counts of the notifier: the content hash once it
+// was retrieved is more stable than a POP3 number, which changes when messages
+// are deleted
+function messageKey(item) {
+	return item.key || item.uid || item.hash || listKey(item);
+}
+
+// delete_after_days for IMAP: imported messages are no longer listed (seen or
+// flagged), so their keys are remembered in the UID store and deleted from here
+async function deleteExpiredImap(ctx, deleteAfterMs) {
+	const { account, source } = ctx;
+	for (const [key, seen] of uids.entries(account.name)) {
+		if (shuttingDown) break;
+		if (Date.now() - seen.imported_at < deleteAfterMs) continue;
+		const item = source.fromKey(key);
+		try {
+			logger.info(`Deleting message ${item.desc} from ${account.name}, imported more than ${account.delete_after_days} day(s) ago`);
+			await source.remove(item);
+			uids.remove(account.name, key);
+		} catch (err) {
+			logger.error(`Failed deleting message ${item.desc} from ${account.name}: ${err.message || err}`);
+		}
+	}
+}
+
+// --- Walk the messages of a source (POP3 or IMAP) ---
+async function syncSource(ctx) {
+	const { account, source } = ctx;
+	const deleteAfterMs = Number(account.delete_after_days || 0) * 24 * 60 * 60 * 1000;
+	const keepImap = source.protocol === "imap" && deleteAfterMs > 0;
+	if (keepImap) await deleteExpiredImap(ctx, deleteAfterMs);
+	const items = await source.list();
+	// leave_on_server: POP3 only, imported messages are remembered by UIDL
+	const trackUids = source.protocol === "pop3" && !!account.leave_on_server;
+	if (trackUids) {
+		logger.info(`Account ${account.name} has ${items.length} messages, ${uids.count(account.name)} UIDs tracked.`);
+		// UIDs that disappeared from the server (deleted by another client) are no longer needed
+		uids.prune(account.name, items.map((m) => m.uid));
+	} else {
+		logger.info(`Account ${account.name} has ${items.length} messages to import.`);
+	}
+
+	for (const item of items) {
+		if (shuttingDown) break;
 		try {
-			const reqUrl = new url.URL(req.url, `http://localhost:${p}`);
-			// OAuth callback handling: if someone registered a waiter for this pathname,
-			// let the waiter handle it (it contains oauth2Client + resolve/reject).
-			const waiter = getAuthWaiter(reqUrl.pathname);
-			if (waiter) {
-				const code = reqUrl.searchParams.get('code');
-				const error = reqUrl.searchParams.get('error');
-				if (error) {
-					res.statusCode = 400;
-					res.end('Authentication failed: ' + error);
-					try { waiter.reject(new Error('OAuth error: ' + error)); } catch(e){}
-					logger.warn(`OAuth error on callback: ${error}`);
-					return;
+			if (trackUids) {
+				const seen = uids.get(account.name, item.uid);
+				if (seen) {
+					if (deleteAfterMs > 0 && Date.now() - seen.imported_at >= deleteAfterMs) {
+						logger.info(`Deleting message ${item.desc} from ${account.name}, imported more than ${account.delete_after_days} day(s) ago`);
+						await source.remove(item);
+					}
+					continue;
 				}
-				res.end(`<!DOCTYPE html><html>
-					<head><meta http-equiv="refresh" content="5; url=/status"></head>
-					<body>Authentication successful! Redirecting to the <a href="/status">status page</a>.</body>
-					</html>`);
-				finishAuthWaiter(waiter, code);
-				logger.info('OAuth authentication successful via callback');
-				return;
 			}
-			else if (reqUrl.pathname === '/status') {		
-				const cfg = loadConfig(process.argv[2]);
-                const tokenPath = cfg.gmail.token_file;			
-				if (req.method === 'POST') {
-					let body = '';
-					req.on('data', d => body += d);
-					req.on('end', () => {
-						try {
-							const postData = JSON.parse(body);
-							if (postData.deleteToken) {
-								unlink(tokenPath, (err) => {
-									if (err) {
-										res.statusCode = 500;
-										res.setHeader('Content-Type', 'application/json');
-										res.end(JSON.stringify({ ok: false, message: 'Error deleting token: ' + (err.message || err) }));
-									} else {
-										res.setHeader('Content-Type', 'application/json');
-										res.end(JSON.stringify({ ok: true, message: 'Token deleted. Restart the application to re-authenticate.' }));
-									}
-								});
-								return;
-							} 
-							res.statusCode = 400;
-							res.setHeader('Content-Type', 'application/json');
-							res.end(JSON.stringify({ ok: false, message: 'Unknown action' }));
-						} catch (e) {
-							res.statusCode = 400;
-							res.setHeader('Content-Type', 'application/json');
-							res.end(JSON.stringify({ ok: false, message: 'Invalid JSON' }));
-						}
-					});
-					return;
-				}
-				if (statsStore && typeof statsStore.getAllStats === 'function') {
-					const data = statsStore.getAllStats();
-					res.setHeader('Content-Type', 'text/html; charset=utf-8');
-					let html = `<html>
-						<head>
-							<title>POP3->Gmail status</title>
-							<link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.8/dist/css/bootstrap.min.css" rel="stylesheet" integrity="sha384-sRIl4kxILFvY47J16cr9ZwB07vP4J8+LH7qKQnuqkuIAvNWLzeN8tE5YBujZqJLB" crossorigin="anonymous">
-						</head>
-						<body><div class="container">
-							<div id="statusAlert" class="alert alert-warning d-none" role="alert" style="display:none;"></div>
-							<h2>Status</h2>
-							<p>Updated: ${new Date(data.updatedAt || Date.now()).toString()}</p>`;
-
-					// Construct the desired redirect URI. If the host is local (localhost or 127.0.0.1)
-					// use the callback directly so the OAuth flow returns to the running service.
-					// Otherwise build a remote redirect helper and pass the base64-encoded
-					// local callback as the 'data' parameter.
-					const host = req.headers.host;
-					const callbackUrl = `http://${host}/oauthcallback`;
-					let redirectUri;
-					let redirectParam;
-
-					if (host.includes("localhost") || host.includes("127.0.0.1")) {
-						redirectUri = callbackUrl;
-						redirectParam = "";
-					} else {
-						redirectParam = Buffer.from(`SECONDHOPLINK${callbackUrl}`, "utf8").toString("base64");
-            			redirectUri = secondhop;
-					}
-					
-					if (gmailclient) {
-						const newurl = gmailclient.getAuthorizeUrl(redirectUri, redirectParam);
-						if (newurl) {
-							html += `<div class="alert alert-primary" role="alert"><strong>Waiting for OAuth authorization:</strong> <a href="${newurl}">Click here</a></div>`;
-						}
-					}
-                    
-					if (existsSync(tokenPath)) {
-						html += `<div id="tokenDelete" class="mb-3">
-							<button class="btn btn-danger" onclick="postAction({deleteToken: true})">Delete Token</button>
-						</div>`;
-					}
-					html += `<h2>Statistics</h2>
-						<table class="table">
-							<tr><th>Account</th><th>Last Sync</th><th>Day</th><th>Week</th><th>Month</th><th>Year</th><th>Total</th></tr>`;
-					const accounts = data.accounts || {};
-					for (const [k,v] of Object.entries(accounts)) {
-						const ls = v.last_sync ? `${new Date(v.last_sync.time).toString()} | <span class="badge bg-info text-dark">${v.last_sync.status}</span>` + (v.last_sync.message?` - ${v.last_sync.message}`:'') : 'n/a';
-						html += `<tr><td>${k}</td><td>${ls}</td><td>${v.counts.day}</td><td>${v.counts.week}</td><td>${v.counts.month}</td><td>${v.counts.year}</td><td>${v.counts.total}</td></tr>`;
-					}
-					html += `</table></div>` + `
-				<script>
-					async function postAction(payload) {
-						try {
-							const resp = await fetch('/status', {
-								method: 'POST',
-								headers: {'Content-Type': 'application/json'},
-								body: JSON.stringify(payload)
-							});
-							const data = await resp.json();
-							const el = document.getElementById('statusAlert');
-							el.textContent = data.message;
-							el.style.display = 'block';
-							el.classList.remove('d-none');
-						} catch (err) {
-							console.log('Request failed: ' + (err.message || err));
-						}
-					}
-				</script>` + `</body></html>`;
-					res.end(html);
-					return;
-				} else {
-					res.statusCode = 500;
-					res.end('Stats store not available');
-					logger.error('Status server: stats store not available');
-					return;
+			// quarantined messages are left alone until retried or discarded on the status page
+			let done = quarantine.held(account.name, item.key || item.uid, item.uidl);
+			if (done) {
+				// discarded: done with it below, without importing
+				if (done === "discarded") history.record({ account: account.name, source_id: item.desc, outcome: "discarded" });
+			} else if (item.size > maxMessageSize(account)) {
+				done = await handleOversized(ctx, item);
+			} else {
+				const audit = { account: account.name, source_id: item.desc };
+				try {
+					done = await handleMessage(ctx, item, audit);
+				} catch (err) {
+					history.record({ ...audit, outcome: "failed", error: err.message || String(err) });
+					throw err;
 				}
+				if (done !== "held") history.record({ ...audit, outcome: done || "failed" });
+			}
+			if (!done || done === "held" || done === "quarantined") continue;
+			if (done === "discarded") {
+				logger.info(`Removing discarded message ${item.desc} from ${account.name}`);
+				notifier.messageDone(account.name, messageKey(item));
+			} else {
+				notifier.messageSucceeded(account.name, messageKey(item), item.desc);
+			}
+			if (trackUids) {
+				uids.add(account.name, item.uid);
+			} else {
+				logger.info(`Marking message ${item.desc} from ${account.name} as processed`);
+				await source.markDone(item);
+				if (keepImap && done !== "discarded") uids.add(account.name, item.key);
 			}
-			res.statusCode = 404;
-			res.end(`<!DOCTYPE html><html>
-					<head><meta http-equiv="refresh" content="5; url=/status"></head>
-					<body>Not found! Redirecting to the <a href="/status">status page</a>.</body>
-					</html>`);
-			logger.warn(`Status server: unknown request for ${req.url}`);
-		} catch (e) {
-			res.statusCode = 500;
-			res.end('Server error');
-			logger.error(`Status server error: ${e.message || e}`);
+		} catch (err) {
+			logger.error(`Failed processing message ${item.desc} for ${account.name}: ${err.message || err}`);
+			metrics.failed.inc({ account: account.name });
+			stats.recordFailure(account.name);
+			notifier.messageFailed(account.name, messageKey(item), item.desc, err.message || String(err));
 		}
-	}).listen(p, () => {
-		logger.info(`Status server listening on http://localhost:${p}/status`);
-	});
-	destroyer(httpServer);
-	return httpServer;
+	}
+	// oversized messages that are gone from the server
+	const listed = new Set(items.map(listKey));
+	const known = oversized.get(account.name);
+	if (known && !shuttingDown) for (const key of known.keys()) if (!listed.has(key)) known.delete(key);
+}
+
+// --- Oversized messages ---
+// Messages over max_message_size_mb (at most Gmail's 50 MB) are not imported.
+// The size from LIST (IMAP: RFC822.SIZE) decides before the message is retrieved.
+// oversized_action: leave (on the server, the default), skip (done with it
+// without importing, like a drop rule) or archive (only into the local archive).
+// account -> Map(key -> { source_id, message_id, from, subject, size, action, first_seen })
+const oversized = new Map();
+
+function maxMessageSize(account) {
+	const mb = Number(account.max_message_size_mb || 0);
+	return mb ? Math.min(mb * 1024 * 1024, GMAIL_MAX_MESSAGE_SIZE) : GMAIL_MAX_MESSAGE_SIZE;
+}
+
+// Returns 'oversized' when the message is done with, null to leave it on the
+// server. A message left on the server is only logged and recorded the first time.
+async function handleOversized(ctx, item) {
+	const { account, source } = ctx;
+	const action = account.oversized_action || "leave";
+	if (!oversized.has(account.name)) oversized.set(account.name, new Map());
+	const known = oversized.get(account.name);
+	const key = listKey(item);
+	if (known.has(key) && action === "leave") return null;
+
+	// the headers only, to show which message it is
+	let headers = [];
+	try {
+		headers = parseHeaders(await source.fetchHeaders(item));
+	} catch (err) {
+		logger.warn(`Reading the headers of ${item.desc} from ${account.name} failed: ${err.message || err}`);
+	}
+	const entry = {
+		source_id: item.desc,
+		message_id: getMessageId(headers),
+		from: decodeWords(getHeader(headers, "from")),
+		subject: decodeWords(getHeader(headers, "subject")),
+		size: item.size,
+		action,
+		first_seen: Date.now(),
+	};
+	known.set(key, entry);
+	const limit = `${item.size} bytes, over the limit of ${maxMessageSize(account)} bytes`;
+	if (action === "archive") {
+		if (!ctx.archive) throw new Error(`Message ${item.desc} is oversized (${limit}) and the account has no archive`);
+		ctx.archive.store(await source.fetch(item));
+	}
+	const what = { leave: "left on the server", skip: "not imported", archive: "archived only" }[action];
+	logger.warn(`Message ${item.desc} from ${account.name} is ${limit}, ${what}`);
+	metrics.skipped.inc({ account: account.name, reason: "oversized" });
+	const { source_id, message_id, from, subject, size } = entry;
+	history.record({ account: account.name, source_id, message_id, from, subject, size, outcome: "oversized", error: `${limit}, ${what}` });
+	return action === "leave" ? null : "oversized";
+}
+
+function openSource(account) {
+	const protocol = account.protocol || "pop3";
+	if (protocol === "imap") return openImapSource(account);
+	if (protocol === "pop3") return openPop3Source(account);
+	throw new Error(`Unknown protocol "${protocol}"`);
+}
+
+// the archive of an account, reused across runs while its settings stay the same
+function archiveFor(account) {
+	if (!account.archive) return null;
+	const key = JSON.stringify(account.archive);
+	const cached = archives.get(account.name);
+	if (cached && cached.key === key) return cached.archive;
+	const archive = new MessageArchive(account.name, account.archive);
+	archives.set(account.name, { key, archive });
+	return archive;
+}
+
+// record the sync status and let the notifier know about finished runs
+function recordSync(name, status, message) {
+	stats.recordSyncStatus(name, status, message);
+	if (status !== 'started') notifier.syncResult(name, status === 'success', message);
+}
+
+// --- Dry run: report what an import would do ---
+// Reads only the headers (or the whole message when Gmail filters may look at
+// the body) and never imports, creates labels, deletes or marks messages.
+// The last report of every account is shown on the status page.
+
+// global `dry_run` (or `once --dry-run`) applies to all accounts
+let dryRunAll = false;
+const dryRuns = new Map();
+
+function isDryRun(account) {
+	return dryRunAll || !!account.dry_run;
+}
+
+// what happens to a message on the server once it is done with
+function afterImportAction(account, source) {
+	if (source.protocol === "pop3") {
+		if (!account.leave_on_server) return "delete (DELE)";
+		return account.delete_after_days ? `keep, delete after ${account.delete_after_days} day(s)` : "keep on server";
+	}
+	switch (account.after_import || "seen") {
+		case "seen":
+			return "mark \\Seen";
+		case "flag":
+			return `flag ${account.imap_flag || "$Imported"}`;
+		case "move":
+			return `move to ${account.move_to}`;
+		default:
+			return "delete";
+	}
+}
+
+async function previewMessage(ctx, item) {
+	const { account, gmailclient, source } = ctx;
+	const tooLarge = item.size > maxMessageSize(account);
+	const full = !!gmailclient.applyFilters && !tooLarge;
+	const raw = full ? await source.fetch(item) : await source.fetchHeaders(item);
+	const headers = parseHeaders(raw);
+	const size = item.size || raw.length;
+	// the Date header as Gmail would get it, after a repair_date transform
+	const date = getHeader(parseHeaders(applyTransforms(ctx.transforms, raw, { account })), "date");
+	const parsed = date ? new Date(date) : null;
+	const plan = {
+		source_id: item.desc,
+		message_id: getMessageId(headers),
+		from: decodeWords(getHeader(headers, "from")),
+		subject: decodeWords(getHeader(headers, "subject")),
+		size,
+		// Gmail takes the internal date from the Date header (internalDateSource: dateHeader)
+		date: parsed && !isNaN(parsed) ? parsed.toISOString() : null,
+		rules: [],
+		labels: [],
+		new_labels: [],
+		trash: false,
+		action: "import",
+		after: ctx.after,
+	};
+
+	if (tooLarge) {
+		const action = account.oversized_action || "leave";
+		plan.action = `oversized, ${action === "archive" ? "archive only" : action === "skip" ? "skip" : "leave"}`;
+		if (action === "leave") plan.after = "keep on server";
+		return plan;
+	}
+
+	const outcome = evaluateRules(ctx.rules, { headers, size });
+	plan.rules = outcome.hits;
+	if (outcome.drop) {
+		plan.action = "drop";
+		return plan;
+	}
+
+	// labels that do not exist yet would be created by a real run
+	const names = [ctx.labelName, ...(item.label ? [item.label] : []), ...outcome.labels];
+	let labelIds = [];
+	for (const name of names) {
+		const id = ctx.labelIds.get(name) || `new:${name}`;
+		if (!ctx.labelIds.has(name) && !plan.new_labels.includes(name)) plan.new_labels.push(name);
+		if (!labelIds.includes(id)) labelIds.push(id);
+	}
+	labelIds.push(...systemLabels(outcome));
+	if (full) {
+		const filtered = applyFilters(await gmailclient.getFilters(), { headers, size, text: raw.toString("latin1") }, labelIds);
+		labelIds = filtered.labelIds;
+		plan.trash = filtered.trash;
+	}
+	plan.labels = labelIds.map((id) => (id.startsWith("new:") ? id.slice(4) : ctx.labelNames.get(id) || id));
+
+	const entry = journal.lookup(account.name, plan.message_id, full ? contentHash(raw) : null);
+	if (entry && entry.state === "imported") plan.action = "skip (duplicate)";
+	return plan;
+}
+
+async function previewAccount(account, gmailclient) {
+	logger.info(`Processing account: ${account.name} (dry run)`);
+	recordSync(account.name, 'started', null);
+	const report = { time: Date.now(), error: null, messages: [] };
+	dryRuns.set(account.name, report);
+
+	let source;
+	try {
+		const rules = compileRules(account.rules);
+		const transforms = compileTransforms(account.transforms);
+		const labels = await gmailclient.listLabels();
+		source = await openSource(account);
+		const ctx = {
+			account,
+			gmailclient,
+			source,
+			rules,
+			transforms,
+			labelName: account.label || account.name,
+			labelIds: new Map(labels.map((l) => [l.name, l.id])),
+			labelNames: new Map(labels.map((l) => [l.id, l.name])),
+			after: afterImportAction(account, source),
+		};
+		const items = await source.list();
+		const trackUids = source.protocol === "pop3" && !!account.leave_on_server;
+		logger.info(`[dry run] Account ${account.name} has ${items.length} messages`);
+		for (const item of items) {
+			if (shuttingDown) break;
+			// already imported, a real run only looks at it for delete_after_days
+			if (trackUids && uids.get(account.name, item.uid)) continue;
+			const plan = await previewMessage(ctx, item);
+			report.messages.push(plan);
+			logger.info(`[dry run] ${account.name} ${plan.source_id}: ${plan.action}` +
+				(plan.action === "import" ? ` with labels ${plan.labels.join(", ")}` + (plan.new_labels.length ? ` (new: ${plan.new_labels.join(", ")})` : "") + (plan.trash ? ", then trash" : "") : "") +
+				`, ${plan.size} bytes, date ${plan.date || "of import (no valid Date header)"}, then ${plan.after}` +
+				(plan.rules.length ? `; rules ${plan.rules.join(", ")}` : "") +
+				` - ${plan.from || "?"}: ${plan.subject || ""}`);
+		}
+		recordSync(account.name, 'success', `dry run, ${report.messages.length} message(s) previewed`);
+		return true;
+	} catch (err) {
+		logger.error(`Dry run failed for ${account.name}: ${err.message || err}`);
+		report.error = err.message || String(err);
+		recordSync(account.name, 'fail', `dry run: ${report.error}`);
+		return false;
+	} finally {
+		if (source) await source.close();
+	}
 }
 
 // --- Main processing for a single account ---
+// Returns true when the run succeeded.
 async function processAccount(account, gmailclient) {
+	if (isDryRun(account)) return previewAccount(account, gmailclient);
 	logger.info(`Processing account: ${account.name}`);
 
 	// mark sync started
-	stats.recordSyncStatus(account.name, 'started', null);
+	recordSync(account.name, 'started', null);
+
+	let rules;
+	let transforms;
+	let scanner;
+	try {
+		rules = compileRules(account.rules);
+		transforms = compileTransforms(account.transforms);
+		scanner = account.scan ? new Scanner(account.scan) : null;
+	} catch (err) {
+		logger.error(`Invalid rules, transforms or scan settings for ${account.name}: ${err.message || err}`);
+		recordSync(account.name, 'fail', err.message || String(err));
+		return false;
+	}
 
 	// ensure label exists
 	const labelName = account.label || account.name;
-	const labelId = await gmailclient.getOrCreateLabel(labelName);
+	let labelId;
+	try {
+		labelId = await gmailclient.getOrCreateLabel(labelName);
+	} catch (err) {
+		recordSync(account.name, 'fail', `Gmail label ${labelName}: ${err.message || err}`);
+		return false;
+	}
 	logger.info(`Label ${labelName} => ${labelId}`);
 
-	let pop;
+	// label ids come from the client's label cache, which is reloaded when Gmail
+	// no longer knows an id (a label deleted while running)
+	const labelNames = new Map([[labelId, labelName]]);
+	const resolveLabel = async (name) => {
+		const id = await gmailclient.getOrCreateLabel(name);
+		labelNames.set(id, name);
+		return id;
+	};
+	// label id -> name for the history; system labels (INBOX, STARRED, ...) are their own name
+	const labelNameOf = (id) => labelNames.get(id) || id;
+
+	let archive;
 	try {
-		pop = await popConnect(account);
+		archive = archiveFor(account);
 	} catch (err) {
-		logger.error(`POP3 connect/login failed for ${account.name}: ${err.message || err}`);
-		stats.recordSyncStatus(account.name, 'fail', err.message || String(err));
-		return;
+		logger.error(`Archive for ${account.name}: ${err.message || err}`);
+		recordSync(account.name, 'fail', `Archive: ${err.message || err}`);
+		return false;
 	}
 
+	let source;
 	try {
-		const stat = await popStat(pop);
-		const count = stat.count || 0;
-		logger.info(`Account ${account.name} has ${count} messages.`);
+		source = await openSource(account);
+	} catch (err) {
+		logger.error(`${(account.protocol || "pop3").toUpperCase()} connect/login failed for ${account.name}: ${err.message || err}`);
+		metrics.connectFailures.inc({ account: account.name, protocol: account.protocol || "pop3" });
+		recordSync(account.name, 'fail', err.message || String(err));
+		return false;
+	}
 
-		for (let i = 1; i <= count; i++) {
-			if (shuttingDown) break;
-			try {
-				logger.info(`Retrieving message #${i} from ${account.name}`);
-				const raw = await popRetr(pop, i);
-
-				// poplib returns string with CRLF separators already; ensure Buffer
-				const rawBuf = Buffer.isBuffer(raw) ? raw : Buffer.from(raw, "binary");
-
-				// import into Gmail
-				const result = await gmailclient.importMessage(rawBuf, labelId);
-				if (result && result.id) {
-					logger.info(`Imported message => Gmail ID ${result.id}. Deleting POP message #${i}`);
-					await popDele(pop, i);
-					stats.recordImport(account.name);
-				} else {
-					logger.warn(`Import returned no id for account ${account.name} POP#${i}: ${JSON.stringify(result)}`);
-				}
-			} catch (err) {
-				logger.error(`Failed processing POP#${i} for ${account.name}: ${err.message || err}`);
-			}
+	const ctx = { account, gmailclient, source, labelName, rules, transforms, scanner, resolveLabel, labelNameOf, archive };
+	try {
+		await syncSource(ctx);
+		if (archive) {
+			const pruned = archive.prune();
+			if (pruned) logger.info(`Removed ${pruned} message(s) from the archive of ${account.name}, retention or size limit`);
 		}
-		stats.recordSyncStatus(account.name, 'success', null);
+		recordSync(account.name, 'success', null);
+		recordSuccess(account.name);
+		return true;
 	} catch (err) {
-		logger.error(`POP3 stat or retrieval failed for ${account.name}: ${err.message || err}`);
-		stats.recordSyncStatus(account.name, 'fail', err.message || String(err));
+		logger.error(`Listing or retrieval failed for ${account.name}: ${err.message || err}`);
+		recordSync(account.name, 'fail', err.message || String(err));
+		return false;
 	} finally {
-		await popQuit(pop);
+		await source.close();
 	}
 }
 
-// --- Main loop & graceful shutdown ---
-async function main() {
-	if (process.argv.length < 3) {
-		console.error("Usage: node pop3_to_gmail.js data/config.yaml");
-		process.exit(1);
+// --- Gmail authentication, shared by all account jobs ---
+// Authentication runs before every job; concurrent jobs share one attempt. A new
+// client is only created when the previous one is not authenticated, so its
+// OAuth callback waiter is registered afresh for the web flow.
+let gmailReady = false;
+let gmailAuthInFlight = null;
+function ensureGmail(cfg) {
+	if (!gmailAuthInFlight) {
+		gmailAuthInFlight = (async () => {
+			if (!gmailclient || !gmailReady) gmailclient = new GmailClient(cfg);
+			const auth = await gmailclient.authenticate();
+			gmailReady = !!auth.token;
+			if (gmailReady) notifier.oauthRecovered();
+			else notifier.oauthRequired();
+			if (gmailReady && gmailclient.applyFilters) await gmailclient.getFilters();
+			return gmailReady;
+		})().finally(() => {
+			gmailAuthInFlight = null;
+		});
+	}
+	return gmailAuthInFlight;
+}
+
+// --- Manual control, used by the status page and /api ---
+
+function syncNow(name) {
+	if (!scheduler || !scheduler.jobs.has(name)) return { ok: false, message: `Unknown account ${name}` };
+	if (!scheduler.triggerNow(name)) return { ok: true, message: `Account ${name} is already running` };
+	logger.info(`Manual sync requested for ${name}`);
+	return { ok: true, message: `Sync of ${name} started` };
+}
+
+// pause state is kept in the stats store so it survives restarts
+function setPaused(name, paused) {
+	if (!scheduler || !scheduler.jobs.has(name)) return { ok: false, message: `Unknown account ${name}` };
+	scheduler.setPaused(name, paused);
+	stats.setPaused(name, paused);
+	logger.info(`Account ${name} ${paused ? 'paused' : 'resumed'}`);
+	return { ok: true, message: `Account ${name} ${paused ? 'paused' : 'resumed'}` };
+}
+
+// import a quarantined message again, from its quarantined copy
+async function retryQuarantined(id) {
+	const entry = quarantine.get(id);
+	if (!entry || !entry.file) return { ok: false, message: `Unknown quarantined message ${id}` };
+	const account = currentCfg.accounts.find((a) => a.name === entry.account);
+	if (!account) return { ok: false, message: `Account ${entry.account} is no longer configured` };
+	if (!(await ensureGmail(currentCfg))) return { ok: false, message: "Gmail authorization required" };
+	// no scanner: retrying is an explicit release
+	const ctx = {
+		account,
+		gmailclient,
+		rules: compileRules(account.rules),
+		transforms: compileTransforms(account.transforms),
+		labelName: account.label || account.name,
+		resolveLabel: (name) => gmailclient.getOrCreateLabel(name),
+		labelNameOf: (labelId) => labelId,
+	};
+	const item = { desc: `${entry.source_id} (quarantine)`, label: entry.label };
+	const audit = { account: account.name, source_id: item.desc };
+	logger.info(`Retrying quarantined message ${entry.source_id} of ${account.name}`);
+	try {
+		const done = await importRetrieved(ctx, item, quarantine.read(entry), audit);
+		history.record({ ...audit, outcome: done || "failed" });
+		if (!done) return { ok: false, message: `Import of ${entry.source_id} returned no Gmail id, still quarantined` };
+		quarantine.release(id);
+		if (entry.key) notifier.messageDone(entry.account, entry.key);
+		return { ok: true, message: `Message ${entry.source_id} of ${account.name}: ${done}` };
+	} catch (err) {
+		const error = err.message || String(err);
+		history.record({ ...audit, outcome: "failed", error });
+		logger.error(`Retry of quarantined message ${entry.source_id} of ${account.name} failed: ${error}`);
+		return { ok: false, message: `Still failing, kept in quarantine: ${error}` };
+	}
+}
+
+function discardQuarantined(id) {
+	const entry = quarantine.get(id);
+	if (!entry || !entry.file) return { ok: false, message: `Unknown quarantined message ${id}` };
+	quarantine.discard(id);
+	if (entry.key) notifier.messageDone(entry.account, entry.key);
+	logger.info(`Discarded quarantined message ${entry.source_id} of ${entry.account}`);
+	return { ok: true, message: `Message ${entry.source_id} discarded` + (entry.deleted_from_server ? "" : ", the next run handles it on the server without importing") };
+}
+
+// start a new OAuth web flow; jobs keep using the current token until the new one arrives
+function reauthenticate(cfg) {
+	try {
+		gmailclient = new GmailClient(cfg);
+		gmailclient.requestAuthorization();
+		gmailReady = false;
+		logger.info("Re-authentication requested, authorize via the status page");
+		return { ok: true, message: "Re-authentication started, use the authorization link on the status page." };
+	} catch (err) {
+		return { ok: false, message: "Re-authentication failed: " + (err.message || err) };
 	}
-	const cfgPath = process.argv[2];
-	const cfg = loadConfig(cfgPath);
+}
+
+// --- Setup shared by the commands ---
+
+// open the stores and hand the logger to the modules
+function initialize(cfg, cfgPath) {
 	// create the stats store based on config (cfg.stats_file) or environment variable
 	const statsFile = cfg.stats_file || process.env.STATS_FILE;
-	stats = new StatsStore(statsFile);
+	stats = new StatsStore(statsFile, { cipher: cipherFromConfig(cfg) });
 	logger.info(`Stats file: ${stats.filePath || statsFile || 'default'}`);
-	const intervalMinutes = Math.max(1, Number(cfg.check_interval_minutes || 5));
+	if (stats.loadError) logger.error(stats.loadError);
+	history = new AuditLog(cfg.history_file || process.env.HISTORY_FILE, cfg.history_retention_days);
+	logger.info(`History file: ${history.filePath}`);
+	uids = new UidStore(cfg.uid_file || process.env.UID_FILE);
+	logger.info(`UID file: ${uids.filePath}`);
+	if (uids.loadError) logger.error(uids.loadError);
+	journal = new ImportJournal(cfg.journal_file || process.env.JOURNAL_FILE, cfg.journal_retention_days);
+	logger.info(`Import journal: ${journal.filePath}`);
+	quarantine = new Quarantine(cfg.quarantine, (cfg.accounts || []).map((a) => a.name));
+	if (quarantine.loadError) logger.error(quarantine.loadError);
+	logger.info(`Quarantine: ${quarantine.dir}` + (quarantine.maxAttempts > 0 ? `, after ${quarantine.maxAttempts} failed attempts` : " (off)"));
+	notifier = new Notifier(cfg.notifications, logger);
+	logger.info(`Notification channels: ${notifier.channels.map((c) => c.type).join(", ") || "none"}`);
 	const logDir = cfg.log_dir || DEFAULT_LOG_DIR;
 
 	logger.info("Starting pop3_to_gmail");
 	logger.info(`Log directory: ${logDir}`);
 	logger.info(`Using config: ${cfgPath}`);
 	setGfLogger(logger); // pass logger to gmail_functions.js
+	setPopLogger(logger); // and to pop3_functions.js
+	setOauthLogger(logger);
+	setOauthCipher(cipherFromConfig(cfg));
+	dryRunAll = !!cfg.dry_run;
+	if (dryRunAll) logger.warn("Dry run: nothing is imported, created or deleted");
 	if (!Array.isArray(cfg.accounts) || cfg.accounts.length === 0) {
 		logger.warn("No accounts defined in config. Exiting.");
-		process.exit(2);
+		process.exit(EXIT.CONFIG);
 	}
+}
+
+function closeStores() {
+	stats.close();
+	uids.close();
+	journal.close();
+	history.close();
+}
+
+function findAccount(cfg, name) {
+	const account = (cfg.accounts || []).find((a) => a.name === name);
+	if (!account) {
+		console.error(`Unknown account "${name}", configured: ${(cfg.accounts || []).map((a) => a.name).join(", ")}`);
+		process.exit(EXIT.USAGE);
+	}
+	return account;
+}
+
+// --- Commands ---
+
+// exit codes, also used by `once` for cron/systemd timers
+const EXIT = {
+	OK: 0,
+	FAILED: 1, // an account run or a message failed
+	CONFIG: 2, // invalid config
+	AUTH: 3, // Gmail authorization required, run `auth`
+	USAGE: 64,
+};
+
+// run the service: scheduler, status server and graceful shutdown
+async function commandRun(cfg, cfgPath) {
+	initialize(cfg, cfgPath);
+	currentCfg = cfg;
 
 	// Start status server on the OAuth redirect port if possible so the
 	// status page and the OAuth callback share the same listener.
@@ -335,57 +898,392 @@ async function main() {
 		// fallback
 		if (!redirectPort) redirectPort = 3000;
 		if (!redirectHelperBase) redirectHelperBase = `http://localhost:${redirectPort}/oauthcallback`;
-		startStatusServer(stats, redirectPort, redirectHelperBase);
+		httpServer = startStatusServer({
+			logger,
+			stats,
+			uids,
+			history,
+			getDryRuns: () => dryRuns,
+			getOversized: () => oversized,
+			getQuarantine: () => quarantine,
+			getConfig: () => currentCfg,
+			getConfigError: () => (configWatcher ? configWatcher.error : null),
+			getScheduler: () => scheduler,
+			getGmailClient: () => gmailclient,
+			syncNow,
+			setPaused,
+			reauthenticate: () => reauthenticate(currentCfg),
+			retryQuarantined,
+			discardQuarantined,
+		}, redirectPort, redirectHelperBase);
 	} catch (e) {
 		logger.warn('Failed to start status server: ' + (e.message || e));
 	}
 
-	// Setup shutdown handlers
-	process.on("SIGINT", () => {
-		logger.info("SIGINT received");
-		shuttingDown = true;
-		if (httpServer) httpServer.destroy();
-	});
-	process.on("SIGTERM", () => {
-		logger.info("SIGTERM received");
+	// Setup shutdown handlers: stop scheduling, let running accounts finish
+	// their current message and QUIT; a second signal exits right away
+	const shutdown = (signal) => {
+		logger.info(`${signal} received`);
+		if (shuttingDown) {
+			logger.warn("Second signal, exiting without waiting for running accounts");
+			process.exit(1);
+		}
 		shuttingDown = true;
+		if (configWatcher) configWatcher.close();
 		if (httpServer) httpServer.destroy();
+		if (scheduler) {
+			scheduler.stop().then(() => {
+				closeStores();
+				logger.info("Shutting down main loop. Bye.");
+				process.exit(0);
+			});
+		}
+	};
+	process.on("SIGINT", () => shutdown("SIGINT"));
+	process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+	scheduler = new Scheduler({
+		concurrency: cfg.max_concurrent_accounts || 3,
+		defaultIntervalMinutes: cfg.check_interval_minutes || 5,
+		logger,
+		run: async (account) => {
+			if (!(await ensureGmail(currentCfg))) return;
+			await processAccount(account, gmailclient);
+		},
 	});
+	scheduler.setAccounts(cfg.accounts);
+	for (const account of cfg.accounts) {
+		if (stats.isPaused(account.name)) scheduler.setPaused(account.name, true);
+	}
+	scheduler.start();
+	logger.info(`Scheduled ${cfg.accounts.length} account(s), at most ${scheduler.concurrency} at a time`);
 
-	while (!shuttingDown) {
-		gmailclient = new GmailClient(cfg);
+	configWatcher = new ConfigWatcher(cfgPath, cfg, { logger, onChange: applyConfig });
+}
 
-		const auth = await gmailclient.authenticate();
-		
-		// the main per-account processing loop
-		if (auth.token) {
-			for (const account of cfg.accounts) {
-				if (shuttingDown) break;
-				try {
-					await processAccount(account, gmailclient);
-				} catch (err) {
-					logger.error("Error processing account: " + (err.message || err));
-				}
-			}
+// settings that are only read at startup
+const RESTART_SETTINGS = ["encryption", "log_dir", "status_port", "stats_file", "uid_file", "journal_file", "journal_retention_days", "history_file", "history_retention_days"];
+
+// apply a reloaded config; running accounts finish their run with the old settings
+function applyConfig(cfg, old) {
+	currentCfg = cfg;
+	dryRunAll = !!cfg.dry_run;
+	const changed = (key) => JSON.stringify(cfg[key]) !== JSON.stringify(old[key]);
+	for (const key of RESTART_SETTINGS.filter(changed)) logger.warn(`Config: ${key} changed, restart to apply`);
+	// the next run authenticates again with the new Gmail settings
+	if (changed("gmail")) gmailReady = false;
+	if (changed("notifications")) notifier = new Notifier(cfg.notifications, logger);
+	if (changed("quarantine")) {
+		quarantine.setOptions(cfg.quarantine);
+		if ((cfg.quarantine || {}).path !== (old.quarantine || {}).path) logger.warn("Config: quarantine.path changed, restart to apply");
+	}
+
+	scheduler.concurrency = Math.max(1, Number(cfg.max_concurrent_accounts || 3));
+	scheduler.defaultIntervalMinutes = Math.max(1, Number(cfg.check_interval_minutes || 5));
+	const before = new Set(scheduler.jobs.keys());
+	scheduler.setAccounts(cfg.accounts);
+	const added = cfg.accounts.filter((a) => !before.has(a.name)).map((a) => a.name);
+	const removed = [...before].filter((name) => !scheduler.jobs.has(name));
+	for (const name of added) {
+		if (stats.isPaused(name)) scheduler.setPaused(name, true);
+	}
+	for (const name of removed) dryRuns.delete(name);
+	logger.info(`Config applied: ${cfg.accounts.length} account(s)` + (added.length ? `, added ${added.join(", ")}` : "") + (removed.length ? `, removed ${removed.join(", ")}` : ""));
+}
+
+// one cycle over all (or the given) accounts, then exit
+async function commandOnce(cfg, cfgPath, names) {
+	initialize(cfg, cfgPath);
+	const accounts = names.length ? names.map((n) => findAccount(cfg, n)) : cfg.accounts;
+	process.on("SIGINT", () => (shuttingDown = true));
+	process.on("SIGTERM", () => (shuttingDown = true));
+	if (!(await ensureGmail(cfg))) {
+		logger.error("Gmail authorization required, run the auth command first");
+		closeStores();
+		return EXIT.AUTH;
+	}
+	let ok = true;
+	for (const account of accounts) {
+		if (shuttingDown) break;
+		if (!(await processAccount(account, gmailclient))) ok = false;
+	}
+	closeStores();
+	const failedMessages = [...metrics.failed.series.values()].reduce((n, s) => n + s.value, 0);
+	if (failedMessages) logger.warn(`${failedMessages} message(s) failed`);
+	return ok && !failedMessages ? EXIT.OK : EXIT.FAILED;
+}
+
+// headless OAuth: print the authorization URL and read back the code
+async function commandAuth(cfg) {
+	setGfLogger(logger);
+	const client = new GmailClient(cfg);
+	client.requestAuthorization();
+	const authUrl = client.getAuthorizeUrl(client.oauth2Client.redirectUri, null);
+	console.log("Open this URL in a browser and allow access:\n\n" + authUrl + "\n");
+	console.log("You are then sent to the redirect URI. Even when that page does not load, its");
+	console.log("address contains the code: paste the full address or just the code value.\n");
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	const answer = (await rl.question("Code: ")).trim();
+	rl.close();
+	let code = answer;
+	if (/^https?:\/\//.test(answer)) {
+		const params = new url.URL(answer).searchParams;
+		if (params.get("error")) throw new Error("Authorization failed: " + params.get("error"));
+		if (params.get("state") && !checkAuthState(params.get("state"))) throw new Error("The pasted address belongs to another authorization request");
+		code = params.get("code");
+	}
+	if (!code) throw new Error("No code given");
+	try {
+		await client.authorizeWithCode(code);
+	} catch (err) {
+		const detail = err.response && err.response.data ? JSON.stringify(err.response.data) : err.message || String(err);
+		console.error(`Authorization failed: ${detail}`);
+		return EXIT.AUTH;
+	}
+	console.log(`Authorized, token saved to ${client.tokenFile}`);
+	return EXIT.OK;
+}
+
+// check one account: connect, login, STAT and its Gmail label
+async function commandTest(cfg, name) {
+	const account = findAccount(cfg, name);
+	setGfLogger(logger);
+	setPopLogger(logger);
+	setOauthLogger(logger);
+	setOauthCipher(cipherFromConfig(cfg));
+	const step = async (title, fn) => {
+		try {
+			const detail = await fn();
+			console.log(`OK    ${title}${detail ? ": " + detail : ""}`);
+			return true;
+		} catch (err) {
+			console.log(`FAIL  ${title}: ${err.message || err}`);
+			return false;
 		}
+	};
+	const protocol = account.protocol || "pop3";
+	let source = null;
+	let ok = await step(`${protocol.toUpperCase()} connect and login to ${account.server}`, async () => {
+		source = await openSource(account);
+		return source.pop ? `${source.pop.secure ? "TLS" : "plain text"}, ${source.pop.greeting}` : null;
+	});
+	if (source) {
+		ok = (await step(protocol === "pop3" ? "STAT" : "list folders", async () => {
+			if (protocol === "pop3") {
+				const st = await popStat(source.pop);
+				return `${st.count} message(s), ${st.octets} bytes`;
+			}
+			const items = await source.list();
+			return `${items.length} message(s) to import`;
+		})) && ok;
+		await source.close();
+	}
+	ok = (await step("Gmail authorization", async () => {
+		gmailclient = new GmailClient(cfg);
+		const auth = await gmailclient.authenticate();
+		if (!auth.token) throw new Error("no valid token, run the auth command");
+	})) && ok;
+	if (ok) {
+		const labelName = account.label || account.name;
+		ok = (await step(`Gmail label ${labelName}`, async () => gmailclient.getOrCreateLabel(labelName))) && ok;
+	}
+	return ok ? EXIT.OK : EXIT.FAILED;
+}
 
+// print the stats, read-only so it can run next to the service
+function commandStats(cfg, json) {
+	const store = new StatsStore(cfg.stats_file || process.env.STATS_FILE, { readOnly: true, cipher: cipherFromConfig(cfg) });
+	if (store.loadError) console.error(store.loadError);
+	const data = store.getAllStats();
+	if (json) {
+		console.log(JSON.stringify(data, null, 2));
+		return EXIT.OK;
+	}
+	const rows = [["Account", "Last sync", "Status", "Day", "Week", "Month", "Year", "Total", "Bytes", "Duplicates"]];
+	for (const [name, v] of Object.entries(data.accounts)) {
+		const ls = v.last_sync;
+		rows.push([name, ls ? new Date(ls.time).toLocaleString() : "-", ls ? ls.status : "-", v.counts.day, v.counts.week, v.counts.month, v.counts.year, v.counts.total, v.bytes.total, v.duplicates].map(String));
+	}
+	const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => r[i].length)));
+	for (const r of rows) console.log(r.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ").trimEnd());
+	return EXIT.OK;
+}
+
+// "2026-03-01" or a full date/time; a plain date as end of a range includes that day
+function parseDateArg(value, end) {
+	if (!value) return null;
+	const t = new Date(value).getTime();
+	if (isNaN(t)) throw new Error(`Invalid date "${value}"`);
+	return end && /^\d{4}-\d{2}-\d{2}$/.test(value) ? t + 24 * 60 * 60 * 1000 : t;
+}
+
+// import archived messages again, e.g. after a mangled import or a lost Gmail account;
+// messages Gmail still has (by Message-ID) are skipped
+async function commandRestore(cfg, cfgPath, name, opts) {
+	const account = findAccount(cfg, name);
+	if (!account.archive) {
+		console.error(`Account ${name} has no archive`);
+		return EXIT.USAGE;
+	}
+	let filter;
+	try {
+		filter = { from: parseDateArg(opts.from, false), to: parseDateArg(opts.to, true), messageIds: opts["message-id"] || [] };
+	} catch (err) {
+		console.error(err.message);
+		return EXIT.USAGE;
+	}
+	initialize(cfg, cfgPath);
+	process.on("SIGINT", () => (shuttingDown = true));
+	process.on("SIGTERM", () => (shuttingDown = true));
+	const archive = new MessageArchive(account.name, account.archive);
+	const entries = archive.select(filter);
+	logger.info(`Restoring ${entries.length} archived message(s) of ${name} from ${archive.dir}`);
+	if (!entries.length) {
+		closeStores();
+		return EXIT.OK;
+	}
+	if (!(await ensureGmail(cfg))) {
+		logger.error("Gmail authorization required, run the auth command first");
+		closeStores();
+		return EXIT.AUTH;
+	}
+
+	const rules = compileRules(account.rules);
+	const transforms = compileTransforms(account.transforms);
+	const resolveLabel = (labelName) => gmailclient.getOrCreateLabel(labelName);
+	const counts = { restored: 0, present: 0, failed: 0 };
+	for (const { entry, raw } of archive.read(entries)) {
 		if (shuttingDown) break;
-		logger.info(`Sleeping ${intervalMinutes} minute(s)...`);
-		// sleep but wake early if shuttingDown
-		const sleepMs = intervalMinutes * 60000;
-		const step = 1000;
-		let slept = 0;
-		while (slept < sleepMs && !shuttingDown) {
-			await wait(step);
-			slept += step;
+		const desc = `${entry.file} (${entry.message_id || "no Message-ID"})`;
+		try {
+			const headers = parseHeaders(raw);
+			const messageId = getMessageId(headers);
+			const existing = messageId ? await gmailclient.findByMessageId(messageId) : null;
+			if (existing) {
+				logger.info(`Archived message ${desc} is in Gmail as ${existing}, skipped`);
+				counts.present++;
+				continue;
+			}
+			// labels as on import; `drop` rules are ignored, restoring is explicit
+			const outcome = evaluateRules(rules, { headers, size: raw.length });
+			const labelIds = [await resolveLabel(account.label || account.name)];
+			for (const labelName of outcome.labels) labelIds.push(await resolveLabel(labelName));
+			labelIds.push(...systemLabels(outcome));
+			const result = await gmailclient.importMessage(applyTransforms(transforms, raw, { account }), labelIds);
+			if (!result || !result.id) throw new Error("Import returned no Gmail id");
+			journal.markImported(account.name, messageId, contentHash(raw), result.id);
+			history.record({
+				account: account.name,
+				source_id: `archive ${entry.file}`,
+				outcome: "imported",
+				message_id: messageId,
+				from: decodeWords(getHeader(headers, "from")),
+				subject: decodeWords(getHeader(headers, "subject")),
+				date: getHeader(headers, "date"),
+				size: raw.length,
+				gmail_id: result.id,
+			});
+			logger.info(`Restored archived message ${desc} => Gmail ID ${result.id}`);
+			counts.restored++;
+		} catch (err) {
+			logger.error(`Restoring archived message ${desc} failed: ${err.message || err}`);
+			counts.failed++;
 		}
 	}
+	closeStores();
+	console.log(`Restored ${counts.restored}, already in Gmail ${counts.present}, failed ${counts.failed}`);
+	return counts.failed ? EXIT.FAILED : EXIT.OK;
+}
+
+// the config is already checked when it is loaded
+function commandValidate(cfg, cfgPath) {
+	console.log(`${cfgPath}: OK, ${cfg.accounts.length} account(s)`);
+	return EXIT.OK;
+}
+
+const USAGE = `Usage: node pop3_to_gmail.js [command] <config.yaml> [arguments]
+
+Commands:
+  run <config.yaml>                     run the service (default)
+  once <config.yaml> [account ...]      run all or the given accounts once and exit,
+                                        --dry-run only reports what would be imported
+  auth <config.yaml>                    authorize Gmail access without the status page
+  test <config.yaml> <account>          check connect, login, STAT and the Gmail label
+  stats <config.yaml> [--json]          print the import statistics
+  validate <config.yaml>                check the config file
+  restore <config.yaml> <account>       import archived messages again
+      [--from DATE] [--to DATE] [--message-id ID ...]
+
+Exit codes: 0 ok, 1 failures, 2 invalid config, 3 Gmail authorization required`;
+
+const COMMANDS = ["run", "once", "auth", "test", "stats", "validate", "restore"];
+
+// --- Main ---
+async function main() {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			json: { type: "boolean" },
+			"dry-run": { type: "boolean" },
+			from: { type: "string" },
+			to: { type: "string" },
+			"message-id": { type: "string", multiple: true },
+			help: { type: "boolean", short: "h" },
+		},
+	});
+	// without a command the argument is the config file, as before
+	const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : "run";
+	const cfgPath = positionals.shift();
+	if (values.help || !cfgPath) {
+		console.error(USAGE);
+		process.exit(values.help ? EXIT.OK : EXIT.USAGE);
+	}
+	// commands with output for people or scripts only log to the log file
+	if (["auth", "stats", "validate"].includes(command)) consoleTransport.silent = true;
 
-	logger.info("Shutting down main loop. Bye.");
-	process.exit(0);
+	let cfg;
+	try {
+		cfg = loadConfig(cfgPath);
+	} catch (err) {
+		if (err instanceof ConfigError) for (const problem of err.problems) console.error(`${cfgPath}: ${problem}`);
+		else console.error(`${cfgPath}: ${err.message || err}`);
+		process.exit(EXIT.CONFIG);
+	}
+
+	switch (command) {
+		case "run":
+			return commandRun(cfg, cfgPath);
+		case "once":
+			if (values["dry-run"]) cfg.dry_run = true;
+			process.exit(await commandOnce(cfg, cfgPath, positionals));
+			break;
+		case "auth":
+			process.exit(await commandAuth(cfg));
+			break;
+		case "test":
+			if (!positionals[0]) {
+				console.error(USAGE);
+				process.exit(EXIT.USAGE);
+			}
+			process.exit(await commandTest(cfg, positionals[0]));
+			break;
+		case "stats":
+			process.exit(commandStats(cfg, values.json));
+			break;
+		case "validate":
+			process.exit(commandValidate(cfg, cfgPath));
+			break;
+		case "restore":
+			if (!positionals[0]) {
+				console.error(USAGE);
+				process.exit(EXIT.USAGE);
+			}
+			process.exit(await commandRestore(cfg, cfgPath, positionals[0], values));
+	}
 }
 
 main().catch((err) => {
+	consoleTransport.silent = false;
 	logger.error("Fatal error: " + (err.stack || err));
 	process.exit(1);
 });
@@ -0,0 +1,248 @@
+const { existsSync, readFileSync, readdirSync, statSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync, unlinkSync } = require("node:fs");
+const { createHash } = require("node:crypto");
+const path = require("node:path");
+const { parseHeaders, getHeader, getMessageId, decodeWords, contentHash } = require("./message_utils.js");
+
+const DEFAULT_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, "quarantine");
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DAY = 24 * 60 * 60 * 1000;
+// failure counts of messages that stopped failing without being imported here
+// (removed from the server by someone else) are forgotten after this
+const FAILURE_TTL = 30 * DAY;
+
+function ensureDir(dir) {
+	try {
+		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	} catch (e) {
+		// ignore
+	}
+}
+
+// directory of an account's quarantined messages
+function accountDir(name) {
+	return name.replace(/[^\w.@-]/g, "_");
+}
+
+function writeAtomic(file, data) {
+	const tmp = file + ".tmp";
+	const fd = openSync(tmp, "w");
+	try {
+		writeSync(fd, data);
+		fsyncSync(fd);
+	} finally {
+		closeSync(fd);
+	}
+	renameSync(tmp, file);
+}
+
+// --- Quarantine for messages that keep failing ---
+// Failed imports are counted per message: by UID (POP3 UIDL with leave_on_server,
+// IMAP folder, UIDVALIDITY and UID) or else by content hash. Only Gmail refusing
+// the message itself counts, not labels, the network or rate limits. After
+// max_attempts the raw message is written to the quarantine directory and no
+// longer tried; it stays on the server unless delete_from_server is set. The
+// scanner quarantines messages right away.
+// index.json: { id: { id, account, key, uidl, source_id, label, message_id, from,
+//   subject, size, attempts, error, first_failure, last_failure, file,
+//   quarantined_at, deleted_from_server, discarded_at } }
+// uidl (POP3 without leave_on_server, keyed by content) finds a message in the
+// listing, before it is retrieved.
+// An unreadable index.json is moved aside and rebuilt from the .eml files;
+// accountNames maps their directories back to the account names.
+class Quarantine {
+	constructor(options, accountNames) {
+		const o = options || {};
+		this.dir = o.path || DEFAULT_DIR;
+		this.indexPath = path.join(this.dir, "index.json");
+		this.loadError = null;
+		this.setOptions(o);
+		ensureDir(this.dir);
+		this._entries = {};
+		this._load(accountNames || []);
+		this._expire();
+	}
+
+	_load(accountNames) {
+		if (!existsSync(this.indexPath)) return;
+		try {
+			this._entries = JSON.parse(readFileSync(this.indexPath, "utf8") || "{}");
+			return;
+		} catch (e) {
+			// keep the broken file for inspection instead of silently losing it
+			const aside = `${this.indexPath}.corrupt-${Date.now()}`;
+			renameSync(this.indexPath, aside);
+			this._rebuild(accountNames);
+			this._save();
+			this.loadError = `Quarantine index ${this.indexPath} is unreadable (${e.message}), moved to ${aside}; rebuilt ${Object.keys(this._entries).length} message(s) from the quarantine directory`;
+		}
+	}
+
+	// entries for the quarantined messages on disk; failure counts are lost
+	_rebuild(accountNames) {
+		const names = new Map(accountNames.map((n) => [accountDir(n), n]));
+		for (const sub of readdirSync(this.dir, { withFileTypes: true })) {
+			if (!sub.isDirectory()) continue;
+			for (const name of readdirSync(path.join(this.dir, sub.name))) {
+				const m = /^([0-9a-f]{16})\.eml$/.exec(name);
+				if (!m) continue;
+				const file = path.join(sub.name, name);
+				const raw = readFileSync(path.join(this.dir, file));
+				const headers = parseHeaders(raw);
+				const time = statSync(path.join(this.dir, file)).mtimeMs;
+				this._entries[m[1]] = {
+					id: m[1],
+					account: names.get(sub.name) || sub.name,
+					key: null,
+					source_id: m[1],
+					message_id: getMessageId(headers),
+					from: decodeWords(getHeader(headers, "from")),
+					subject: decodeWords(getHeader(headers, "subject")),
+					size: raw.length,
+					attempts: 0,
+					error: "recovered after the quarantine index was lost",
+					first_failure: time,
+					last_failure: time,
+					file,
+					quarantined_at: time,
+				};
+			}
+		}
+	}
+
+	// max_attempts: 0 never quarantines failed messages
+	setOptions(options) {
+		const o = options || {};
+		this.maxAttempts = o.max_attempts === undefined ? DEFAULT_MAX_ATTEMPTS : Number(o.max_attempts);
+		this.deleteFromServer = !!o.delete_from_server;
+	}
+
+	static keyOf(item, raw) {
+		return item.key || item.uid || (raw ? contentHash(raw) : null);
+	}
+
+	_id(account, key) {
+		return createHash("sha256").update(`${account}\0${key}`).digest("hex").slice(0, 16);
+	}
+
+	_save() {
+		writeAtomic(this.indexPath, JSON.stringify(this._entries, null, 2));
+	}
+
+	_expire() {
+		const now = Date.now();
+		let changed = false;
+		for (const [id, e] of Object.entries(this._entries)) {
+			if (!e.file && now - (e.discarded_at || e.last_failure) >= FAILURE_TTL) {
+				delete this._entries[id];
+				changed = true;
+			}
+		}
+		if (changed) this._save();
+	}
+
+	// "held" for a quarantined message, "discarded" once it was discarded on the
+	// status page (the caller removes it from the server, it is forgotten here), else null
+	held(account, key, uidl) {
+		let e = key ? this._entries[this._id(account, key)] : null;
+		if (!e && uidl) e = Object.values(this._entries).find((x) => x.account === account && x.uidl === uidl);
+		if (!e) return null;
+		const id = e.id;
+		if (e.discarded_at) {
+			delete this._entries[id];
+			this._save();
+			return "discarded";
+		}
+		return e.file ? "held" : null;
+	}
+
+	// count a failed attempt; info: { uidl, source_id, label, message_id, from, subject, size }.
+	// Returns the entry, with `file` set once the message went into quarantine.
+	recordFailure(account, key, raw, info, error) {
+		const id = this._id(account, key);
+		const now = Date.now();
+		const e = this._entries[id] || { id, account, key, attempts: 0, first_failure: now };
+		Object.assign(e, info, { attempts: e.attempts + 1, error, last_failure: now });
+		if (this.maxAttempts > 0 && e.attempts >= this.maxAttempts && !e.file) this._store(e, raw);
+		this._entries[id] = e;
+		this._save();
+		return e;
+	}
+
+	// quarantine right away, without counting attempts (a virus found by the scanner)
+	hold(account, key, raw, info, reason) {
+		const id = this._id(account, key);
+		const now = Date.now();
+		const e = this._entries[id] || { id, account, key, attempts: 0, first_failure: now };
+		Object.assign(e, info, { error: reason, last_failure: now });
+		if (!e.file) this._store(e, raw);
+		this._entries[id] = e;
+		this._save();
+		return e;
+	}
+
+	_store(e, raw) {
+		const dir = path.join(this.dir, accountDir(e.account));
+		ensureDir(dir);
+		writeAtomic(path.join(dir, `${e.id}.eml`), raw);
+		e.file = path.join(path.basename(dir), `${e.id}.eml`);
+		e.quarantined_at = Date.now();
+	}
+
+	// the message went through after all
+	succeeded(account, key) {
+		const id = this._id(account, key);
+		if (!this._entries[id]) return;
+		delete this._entries[id];
+		this._save();
+	}
+
+	markDeleted(id) {
+		if (!this._entries[id]) return;
+		this._entries[id].deleted_from_server = true;
+		this._save();
+	}
+
+	get(id) {
+		return this._entries[id] || null;
+	}
+
+	// quarantined messages, newest first
+	list() {
+		return Object.values(this._entries)
+			.filter((e) => e.file && !e.discarded_at)
+			.sort((a, b) => b.quarantined_at - a.quarantined_at);
+	}
+
+	read(entry) {
+		return readFileSync(path.join(this.dir, entry.file));
+	}
+
+	_removeFile(entry) {
+		try {
+			unlinkSync(path.join(this.dir, entry.file));
+		} catch (e) {
+			if (e.code !== "ENOENT") throw e;
+		}
+	}
+
+	// imported from the quarantine; a copy still on the server is recognised as duplicate
+	release(id) {
+		const e = this._entries[id];
+		if (!e) return;
+		this._removeFile(e);
+		delete this._entries[id];
+		this._save();
+	}
+
+	// give up on the message; one still on the server is removed by the next run
+	discard(id) {
+		const e = this._entries[id];
+		if (!e) return;
+		this._removeFile(e);
+		if (e.deleted_from_server) delete this._entries[id];
+		else Object.assign(e, { file: null, discarded_at: Date.now() });
+		this._save();
+	}
+}
+
+module.exports = { Quarantine };
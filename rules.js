@@ -0,0 +1,109 @@
+// --- Per-account routing rules ---
+// A rule matches when every criterion in its `match` block matches. Matching
+// rules are applied in order; `stop: true` ends the evaluation, `drop: true`
+// skips the import altogether.
+
+const HEADER_CRITERIA = {
+	from: "from",
+	to: "to",
+	cc: "cc",
+	subject: "subject",
+	list_id: "list-id",
+};
+
+// "/regex/flags" is a regular expression, anything else a case-insensitive glob (* and ?).
+// g and y are dropped: they make test() continue from the last match
+function compilePattern(pattern) {
+	const str = String(pattern);
+	const re = str.match(/^\/(.*)\/([a-z]*)$/s);
+	if (re) return new RegExp(re[1], re[2].replace(/[gy]/g, ""));
+	const escaped = str.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+	return new RegExp("^" + escaped + "$", "i");
+}
+
+// bare addresses found in an address header, e.g. "Name <a@b>" -> ["a@b"]
+function addresses(value) {
+	return value.match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || [];
+}
+
+function testValue(re, value) {
+	if (value === null || value === undefined) return false;
+	if (re.test(value)) return true;
+	return addresses(value).some((a) => re.test(a));
+}
+
+function compileRules(rules) {
+	if (!rules) return [];
+	if (!Array.isArray(rules)) throw new Error("rules must be a list");
+	return rules.map((rule, i) => {
+		const name = rule.name || `rule${i + 1}`;
+		const match = rule.match || {};
+		const tests = [];
+		try {
+			for (const [key, header] of Object.entries(HEADER_CRITERIA)) {
+				if (match[key] === undefined) continue;
+				const re = compilePattern(match[key]);
+				tests.push((msg) => (msg.headers[header] || []).some((v) => testValue(re, v)));
+			}
+			// arbitrary headers: { "X-Spam-Flag": "YES" }
+			for (const [header, pattern] of Object.entries(match.headers || {})) {
+				const re = compilePattern(pattern);
+				tests.push((msg) => (msg.headers[header.toLowerCase()] || []).some((v) => testValue(re, v)));
+			}
+		} catch (err) {
+			throw new Error(`Invalid pattern in rule ${name}: ${err.message}`);
+		}
+		if (match.size_over !== undefined) tests.push((msg) => msg.size > Number(match.size_over));
+		if (match.size_under !== undefined) tests.push((msg) => msg.size < Number(match.size_under));
+		if (tests.length === 0) throw new Error(`Rule ${name} has no match criteria`);
+		return {
+			name,
+			test: (msg) => tests.every((t) => t(msg)),
+			labels: [].concat(rule.labels || rule.label || []),
+			skip_inbox: !!rule.skip_inbox,
+			mark_read: !!rule.mark_read,
+			star: !!rule.star,
+			important: !!rule.important,
+			drop: !!rule.drop,
+			stop: !!rule.stop,
+		};
+	});
+}
+
+// msg: { headers (from parseHeaders), size }
+// returns { hits, labels, skipInbox, markRead, star, important, drop }
+function evaluateRules(compiled, msg) {
+	const out = { hits: [], labels: [], skipInbox: false, markRead: false, star: false, important: false, drop: false };
+	for (const rule of compiled) {
+		if (!rule.test(msg)) continue;
+		out.hits.push(rule.name);
+		if (rule.drop) {
+			out.drop = true;
+			break;
+		}
+		for (const l of rule.labels) if (!out.labels.includes(l)) out.labels.push(l);
+		out.skipInbox = out.skipInbox || rule.skip_inbox;
+		out.markRead = out.markRead || rule.mark_read;
+		out.star = out.star || rule.star;
+		out.important = out.important || rule.important;
+		if (rule.stop) break;
+	}
+	return out;
+}
+
+// Gmail system label ids for a rule outcome, on top of the user labels
+function systemLabels(outcome) {
+	const ids = [];
+	if (!outcome.skipInbox) ids.push("INBOX");
+	if (!outcome.markRead) ids.push("UNREAD");
+	if (outcome.star) ids.push("STARRED");
+	if (outcome.important) ids.push("IMPORTANT");
+	return ids;
+}
+
+module.exports = {
+	compilePattern,
+	compileRules,
+	evaluateRules,
+	systemLabels,
+};
@@ -0,0 +1,189 @@
+const net = require("node:net");
+const { spawn } = require("node:child_process");
+
+const TYPES = ["command", "spamd", "clamd"];
+const DEFAULT_PORTS = { spamd: 783, clamd: 3310 };
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_SIZE_MB = 10;
+// clamd INSTREAM chunks
+const CHUNK_BYTES = 64 * 1024;
+
+// the scanner could not give a verdict (not running, timed out, bad answer);
+// not the message's fault, so it does not count towards the quarantine
+class ScanError extends Error {}
+
+// one header field, folded after commas so long test lists stay below 78 characters
+function fold(name, value) {
+	let line = `${name}: `;
+	let out = "";
+	for (const part of value.split(/(?<=,)/)) {
+		if (line.length + part.length > 78 && line.trim().length > name.length + 1) {
+			out += line + "\r\n";
+			line = "\t";
+		}
+		line += part;
+	}
+	return out + line;
+}
+
+// send data over TCP or a unix socket and read the answer until the other side closes
+function exchange(options, data, timeoutMs) {
+	return new Promise((resolve, reject) => {
+		const sock = options.socket ? net.connect({ path: options.socket }) : net.connect({ host: options.host, port: options.port });
+		const chunks = [];
+		sock.setTimeout(timeoutMs, () => {
+			const err = new ScanError(`${options.type} did not answer within ${timeoutMs / 1000}s`);
+			err.code = "ETIMEDOUT";
+			sock.destroy(err);
+		});
+		sock.on("connect", () => sock.end(data));
+		sock.on("data", (c) => chunks.push(c));
+		sock.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+		sock.on("error", reject);
+	});
+}
+
+// --- Content scanning before the import ---
+// account.scan: { type: command|spamd|clamd, command, host, port, socket, user,
+//   timeout_seconds, max_size_mb, spam_score, quarantine_score, flagged, on_error }
+// scan() returns { result: clean|spam|quarantine, score, detail, headers }; headers
+// are complete header fields to put on top of the imported message. spam_score
+// and quarantine_score override the scanner's own verdict, a virus found by
+// clamd is always quarantined.
+class Scanner {
+	constructor(options) {
+		const o = options || {};
+		if (!TYPES.includes(o.type)) throw new Error(`Invalid scan type "${o.type}", expected one of ${TYPES.join(", ")}`);
+		if (o.type === "command" && !o.command) throw new Error("scan type command requires command");
+		if (o.flagged && !["spam", "quarantine"].includes(o.flagged)) throw new Error(`Invalid flagged "${o.flagged}", expected spam or quarantine`);
+		if (o.on_error && !["retry", "import"].includes(o.on_error)) throw new Error(`Invalid on_error "${o.on_error}", expected retry or import`);
+		this.type = o.type;
+		this.command = o.command;
+		this.host = o.host || "127.0.0.1";
+		this.port = o.port || DEFAULT_PORTS[o.type];
+		this.socket = o.socket || null;
+		this.user = o.user || null;
+		this.timeoutMs = o.timeout_seconds ? Number(o.timeout_seconds) * 1000 : DEFAULT_TIMEOUT_MS;
+		this.maxBytes = Number(o.max_size_mb || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+		this.spamScore = o.spam_score === undefined || o.spam_score === null ? null : Number(o.spam_score);
+		this.quarantineScore = o.quarantine_score === undefined || o.quarantine_score === null ? null : Number(o.quarantine_score);
+		// what a command's exit code 1 means
+		this.flagged = o.flagged || "spam";
+		// scanner errors: retry (next cycle) or import without a verdict
+		this.onError = o.on_error || "retry";
+	}
+
+	// too large messages are not scanned (null), as spamc does by default
+	async scan(raw) {
+		if (raw.length > this.maxBytes) return null;
+		let verdict;
+		try {
+			verdict = await this["_" + this.type](raw);
+		} catch (err) {
+			if (err instanceof ScanError) throw err;
+			throw new ScanError(`${this.type}: ${err.message || err}`);
+		}
+		const { score } = verdict;
+		let result = "clean";
+		if (verdict.quarantine || (this.quarantineScore !== null && score !== null && score >= this.quarantineScore)) result = "quarantine";
+		else if (this.spamScore !== null ? score !== null && score >= this.spamScore : verdict.spam) result = "spam";
+		return { result, score, detail: verdict.detail, headers: verdict.headers };
+	}
+
+	// SPAMC/1.5 SYMBOLS: "Spam: True ; 15.3 / 5.0" and the matched tests as body
+	async _spamd(raw) {
+		const head = `SYMBOLS SPAMC/1.5\r\nContent-length: ${raw.length}\r\n` + (this.user ? `User: ${this.user}\r\n` : "") + "\r\n";
+		const answer = await exchange(this, Buffer.concat([Buffer.from(head), raw]), this.timeoutMs);
+		const status = /^SPAMD\/[\d.]+ (\d+) (.*)/.exec(answer);
+		if (!status) throw new ScanError(`spamd: unexpected answer "${answer.slice(0, 80)}"`);
+		if (status[1] !== "0") throw new ScanError(`spamd: ${status[2].trim()}`);
+		const m = /^Spam: (\w+) ; (-?[\d.]+) \/ (-?[\d.]+)/im.exec(answer);
+		if (!m) throw new ScanError("spamd: answer without a Spam header");
+		const spam = /^(true|yes)$/i.test(m[1]);
+		const score = Number(m[2]);
+		const split = answer.indexOf("\r\n\r\n");
+		const tests = split >= 0 ? answer.slice(split + 4).trim() : "";
+		return {
+			spam,
+			score,
+			detail: `score ${score} of ${m[3]}`,
+			headers: [
+				...(spam ? ["X-Spam-Flag: YES"] : []),
+				fold("X-Spam-Status", `${spam ? "Yes" : "No"}, score=${score} required=${m[3]}` + (tests ? ` tests=${tests}` : "")),
+			],
+		};
+	}
+
+	// INSTREAM: length-prefixed chunks, a zero length ends the stream; "stream: OK" or "stream: <name> FOUND"
+	async _clamd(raw) {
+		const parts = [Buffer.from("zINSTREAM\0")];
+		for (let i = 0; i < raw.length; i += CHUNK_BYTES) {
+			const chunk = raw.subarray(i, i + CHUNK_BYTES);
+			const len = Buffer.alloc(4);
+			len.writeUInt32BE(chunk.length);
+			parts.push(len, chunk);
+		}
+		parts.push(Buffer.alloc(4));
+		const answer = (await exchange(this, Buffer.concat(parts), this.timeoutMs)).replace(/\0/g, "").trim();
+		const found = /^stream: (.+) FOUND$/.exec(answer);
+		if (found) {
+			return { quarantine: true, score: null, detail: `virus ${found[1]}`, headers: ["X-Virus-Scanned: clamd", `X-Virus-Status: Infected (${found[1]})`] };
+		}
+		if (answer !== "stream: OK") throw new ScanError(`clamd: ${answer || "no answer"}`);
+		return { score: null, detail: "no virus found", headers: ["X-Virus-Scanned: clamd", "X-Virus-Status: Clean"] };
+	}
+
+	// the message on stdin; exit 0 clean, 1 flagged, anything else an error. The first
+	// number on the first output line is the score (`spamc -c` prints "15.3/5.0"),
+	// output lines that are header fields are added to the message.
+	_command(raw) {
+		return new Promise((resolve, reject) => {
+			const argv = Array.isArray(this.command) ? this.command : null;
+			const child = argv ? spawn(argv[0], argv.slice(1)) : spawn(this.command, { shell: true });
+			const out = [];
+			const err = [];
+			const timer = setTimeout(() => {
+				child.kill("SIGKILL");
+				const e = new ScanError(`command did not finish within ${this.timeoutMs / 1000}s`);
+				e.code = "ETIMEDOUT";
+				reject(e);
+			}, this.timeoutMs);
+			child.stdout.on("data", (c) => out.push(c));
+			child.stderr.on("data", (c) => err.push(c));
+			// a command that does not read all of stdin closes the pipe early
+			child.stdin.on("error", () => {});
+			child.on("error", (e) => {
+				clearTimeout(timer);
+				reject(e);
+			});
+			child.on("close", (code) => {
+				clearTimeout(timer);
+				const text = Buffer.concat(out).toString("utf8");
+				if (code !== 0 && code !== 1) {
+					const output = Buffer.concat(err).toString("utf8").trim() || text.trim();
+					reject(new ScanError(`command exited with ${code}` + (output ? `: ${output}` : "")));
+					return;
+				}
+				const lines = text.split(/\r?\n/);
+				const m = /-?\d+(\.\d+)?/.exec(lines[0]);
+				const score = m ? Number(m[0]) : null;
+				const headers = lines.filter((l) => /^[\x21-\x39\x3b-\x7e]+: ?\S/.test(l));
+				const flagged = code === 1;
+				resolve({
+					spam: flagged && this.flagged === "spam",
+					quarantine: flagged && this.flagged === "quarantine",
+					score,
+					detail: `exit code ${code}` + (score !== null ? `, score ${score}` : ""),
+					headers,
+				});
+			});
+			child.stdin.end(raw);
+		});
+	}
+}
+
+module.exports = {
+	SCAN_TYPES: TYPES,
+	ScanError,
+	Scanner,
+};
@@ -0,0 +1,196 @@
+// --- Per-account scheduler ---
+// Every account gets its own job, run every `interval_minutes` or on a `cron`
+// expression. At most `concurrency` jobs run at once and a job never overlaps
+// with itself.
+
+const CRON_FIELDS = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12 },
+	{ name: "day of week", min: 0, max: 7 },
+];
+
+// one cron field ("*", "*/15", "1-5", "1,15,30", "10-40/10") -> Set of values
+function parseCronField(str, field) {
+	const values = new Set();
+	for (const part of str.split(",")) {
+		const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+		if (!m) throw new Error(`Invalid cron ${field.name} "${str}"`);
+		let from = field.min;
+		let to = field.max;
+		if (m[1] !== "*") {
+			from = Number(m[2]);
+			to = m[3] !== undefined ? Number(m[3]) : m[4] !== undefined ? field.max : from;
+		}
+		const step = m[4] !== undefined ? Number(m[4]) : 1;
+		if (from < field.min || to > field.max || from > to || step < 1) throw new Error(`Invalid cron ${field.name} "${str}"`);
+		for (let v = from; v <= to; v += step) values.add(v);
+	}
+	return values;
+}
+
+// standard 5-field cron expression: minute hour day-of-month month day-of-week
+function parseCron(expr) {
+	const parts = String(expr).trim().split(/\s+/);
+	if (parts.length !== 5) throw new Error(`Invalid cron expression "${expr}", expected 5 fields`);
+	const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+	if (dow.has(7)) dow.add(0); // 7 is Sunday too
+	return { minute, hour, dom, month, dow, domAny: parts[2] === "*", dowAny: parts[4] === "*" };
+}
+
+// first matching minute after `from` (local time), or null within a year
+function nextCronTime(cron, from) {
+	const d = new Date(from);
+	d.setSeconds(0, 0);
+	d.setMinutes(d.getMinutes() + 1);
+	const limit = from + 366 * 24 * 60 * 60 * 1000;
+	while (d.getTime() <= limit) {
+		const domOk = cron.dom.has(d.getDate());
+		const dowOk = cron.dow.has(d.getDay());
+		// like cron: when both day fields are restricted either one may match
+		const dayOk = cron.domAny && cron.dowAny ? true : cron.domAny ? dowOk : cron.dowAny ? domOk : domOk || dowOk;
+		if (!cron.month.has(d.getMonth() + 1) || !dayOk) {
+			d.setHours(0, 0, 0, 0);
+			d.setDate(d.getDate() + 1);
+			continue;
+		}
+		if (!cron.hour.has(d.getHours())) {
+			d.setMinutes(0);
+			d.setHours(d.getHours() + 1);
+			continue;
+		}
+		if (cron.minute.has(d.getMinutes())) return d.getTime();
+		d.setMinutes(d.getMinutes() + 1);
+	}
+	return null;
+}
+
+class Scheduler {
+	// run: async (account) => void
+	constructor({ concurrency, defaultIntervalMinutes, run, logger }) {
+		this.concurrency = Math.max(1, Number(concurrency || 1));
+		this.defaultIntervalMinutes = Math.max(1, Number(defaultIntervalMinutes || 5));
+		this.run = run;
+		this.logger = logger || console;
+		this.jobs = new Map(); // account name -> job
+		this.stopping = false;
+		this._timer = null;
+		this._running = new Set(); // promises of running jobs
+		// jobs removed from the config while running, until their run ends; an
+		// account added back meanwhile gets its job back instead of a second run
+		this._removed = new Map();
+	}
+
+	_nextRun(job, from) {
+		if (job.cron) return nextCronTime(job.cron, from);
+		return from + job.intervalMs;
+	}
+
+	// (re)build the jobs from the account list; running jobs are left alone
+	setAccounts(accounts) {
+		const seen = new Set();
+		for (const account of accounts) {
+			seen.add(account.name);
+			const existing = this.jobs.get(account.name) || this._removed.get(account.name);
+			this._removed.delete(account.name);
+			const job = existing || { name: account.name, running: false, paused: false, forced: false, lastStart: null, lastEnd: null };
+			job.account = account;
+			job.cron = account.cron ? parseCron(account.cron) : null;
+			job.intervalMs = Math.max(1, Number(account.interval_minutes || this.defaultIntervalMinutes)) * 60000;
+			// interval accounts start right away, cron accounts wait for their first slot
+			if (!existing) job.nextRun = job.cron ? nextCronTime(job.cron, Date.now()) : Date.now();
+			else if (!job.running) job.nextRun = Math.min(job.nextRun || Infinity, this._nextRun(job, job.lastEnd || Date.now()));
+			this.jobs.set(account.name, job);
+		}
+		for (const name of [...this.jobs.keys()]) {
+			if (seen.has(name)) continue;
+			const job = this.jobs.get(name);
+			if (job.running) this._removed.set(name, job);
+			this.jobs.delete(name);
+		}
+	}
+
+	start() {
+		const tick = () => {
+			this._timer = null;
+			if (this.stopping) return;
+			this._tick();
+			this._timer = setTimeout(tick, 1000);
+		};
+		tick();
+	}
+
+	_tick() {
+		if (this.stopping) return;
+		const now = Date.now();
+		const due = [...this.jobs.values()]
+			.filter((j) => !j.running && (j.forced || (!j.paused && j.nextRun !== null && j.nextRun <= now)))
+			.sort((a, b) => (b.forced - a.forced) || (a.nextRun - b.nextRun));
+		for (const job of due) {
+			if (this._running.size >= this.concurrency) break;
+			this._launch(job);
+		}
+	}
+
+	_launch(job) {
+		job.running = true;
+		job.forced = false;
+		job.lastStart = Date.now();
+		const p = Promise.resolve()
+			.then(() => this.run(job.account))
+			.catch((err) => this.logger.error(`Error processing account ${job.name}: ${err.message || err}`))
+			.finally(() => {
+				job.running = false;
+				job.lastEnd = Date.now();
+				job.nextRun = this._nextRun(job, job.lastEnd);
+				if (this._removed.get(job.name) === job) this._removed.delete(job.name);
+				this._running.delete(p);
+			});
+		this._running.add(p);
+	}
+
+	// run the account as soon as a slot is free, even when paused; false when it is running
+	triggerNow(name) {
+		const job = this.jobs.get(name);
+		if (!job || job.running) return false;
+		job.forced = true;
+		this._tick();
+		return true;
+	}
+
+	setPaused(name, paused) {
+		const job = this.jobs.get(name);
+		if (job) job.paused = !!paused;
+	}
+
+	// stop launching jobs; resolves once the running ones have finished
+	async stop() {
+		this.stopping = true;
+		if (this._timer) clearTimeout(this._timer);
+		this._timer = null;
+		while (this._running.size > 0) await Promise.allSettled([...this._running]);
+	}
+
+	// { name: { running, paused, nextRun, lastStart, lastEnd, schedule } }
+	getState() {
+		const out = {};
+		for (const job of this.jobs.values()) {
+			out[job.name] = {
+				running: job.running,
+				paused: job.paused,
+				nextRun: job.running ? null : job.nextRun,
+				lastStart: job.lastStart,
+				lastEnd: job.lastEnd,
+				schedule: job.account.cron ? `cron ${job.account.cron}` : `every ${job.intervalMs / 60000} min`,
+			};
+		}
+		return out;
+	}
+}
+
+module.exports = {
+	parseCron,
+	nextCronTime,
+	Scheduler,
+};
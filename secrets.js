@@ -0,0 +1,155 @@
+const { createCipheriv, createDecipheriv, randomBytes, scryptSync } = require("node:crypto");
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const { parse } = require("yaml");
+
+// --- Secrets: references in config values and encryption at rest ---
+// Any string in the config may contain references, resolved when it is loaded:
+//   ${NAME} or ${NAME:-default}  environment variable
+//   ${file:/path/to/file}         contents of a file
+//   ${secret:name}                Docker secret, /run/secrets/name (SECRETS_DIR)
+// "$${" stands for a literal "${". `password_file` is read into `password`.
+
+const SECRETS_DIR = process.env.SECRETS_DIR || "/run/secrets";
+const REF = /\$(\$?)\{([^}]*)\}/g;
+
+// file contents without the trailing newline most editors and tools add
+function readSecretFile(file) {
+	return readFileSync(file, "utf8").replace(/\r?\n$/, "");
+}
+
+function resolveRef(ref) {
+	const m = ref.match(/^(file|secret):(.+)$/);
+	if (m) {
+		const file = m[1] === "file" ? m[2] : path.join(SECRETS_DIR, m[2]);
+		try {
+			return readSecretFile(file);
+		} catch (err) {
+			throw new Error(`cannot read ${file} (${err.code || err.message})`);
+		}
+	}
+	const [, name, def] = ref.match(/^([^:]*)(?::-(.*))?$/s);
+	if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`invalid reference "\${${ref}}"`);
+	if (process.env[name] !== undefined) return process.env[name];
+	if (def !== undefined) return def;
+	throw new Error(`environment variable ${name} is not set`);
+}
+
+// a value that is a single reference takes the type the schema expects
+function resolveString(value, schema) {
+	const out = value.replace(REF, (all, escaped, ref) => (escaped ? all.slice(1) : resolveRef(ref)));
+	const type = schema && schema.type;
+	if (out !== value && /^\$\{[^}]*\}$/.test(value) && ["number", "integer", "boolean"].includes(type)) {
+		const v = parse(out);
+		if (typeof v === (type === "boolean" ? "boolean" : "number")) return v;
+	}
+	return out;
+}
+
+// resolve references in place, following the config schema for the value types;
+// returns problems as { path, message }
+function resolveSecrets(value, schema, keyPath, errors) {
+	const out = errors || [];
+	const at = keyPath || [];
+	if (Array.isArray(value)) {
+		value.forEach((item, i) => {
+			if (typeof item === "string") {
+				try {
+					value[i] = resolveString(item, schema && schema.items);
+				} catch (err) {
+					out.push({ path: [...at, i], message: err.message });
+				}
+			} else {
+				resolveSecrets(item, schema && schema.items, [...at, i], out);
+			}
+		});
+		return out;
+	}
+	if (!value || typeof value !== "object") return out;
+	for (const [key, v] of Object.entries(value)) {
+		const sub = schema ? (schema.keys ? schema.keys[key] : schema.values) : null;
+		if (typeof v === "string") {
+			try {
+				value[key] = resolveString(v, sub);
+			} catch (err) {
+				out.push({ path: [...at, key], message: err.message });
+			}
+		} else {
+			resolveSecrets(v, sub, [...at, key], out);
+		}
+	}
+	if (typeof value.password_file === "string") {
+		if (value.password) out.push({ path: [...at, "password_file"], message: "set either password or password_file" });
+		else {
+			try {
+				value.password = readSecretFile(value.password_file);
+			} catch (err) {
+				out.push({ path: [...at, "password_file"], message: `cannot read ${value.password_file} (${err.code || err.message})` });
+			}
+		}
+	}
+	return out;
+}
+
+// --- Encryption at rest (AES-256-GCM) ---
+// Encrypted files start with "enc:v1:" followed by base64 of iv, auth tag and
+// ciphertext. Plain text is still read, so existing files get encrypted the next
+// time they are written.
+
+const PREFIX = "enc:v1:";
+
+function isEncrypted(text) {
+	return String(text).startsWith(PREFIX);
+}
+
+// without a key: refuse encrypted files instead of failing on garbled JSON
+const PLAIN = {
+	enabled: false,
+	encrypt: (text) => text,
+	decrypt(text) {
+		if (isEncrypted(text)) throw new Error("File is encrypted, set encryption.key or encryption.key_file");
+		return text;
+	},
+};
+
+function createCipher(secret) {
+	const key = scryptSync(String(secret), "pop3-to-gmail", 32);
+	return {
+		enabled: true,
+		encrypt(text) {
+			const iv = randomBytes(12);
+			const c = createCipheriv("aes-256-gcm", key, iv);
+			const data = Buffer.concat([c.update(text, "utf8"), c.final()]);
+			return PREFIX + Buffer.concat([iv, c.getAuthTag(), data]).toString("base64");
+		},
+		decrypt(text) {
+			if (!isEncrypted(text)) return text;
+			const buf = Buffer.from(text.slice(PREFIX.length), "base64");
+			const d = createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+			d.setAuthTag(buf.subarray(12, 28));
+			try {
+				return Buffer.concat([d.update(buf.subarray(28)), d.final()]).toString("utf8");
+			} catch (err) {
+				throw new Error("Cannot decrypt, wrong encryption key or damaged data");
+			}
+		},
+	};
+}
+
+// encryption: { key } or { key_file }; the key derivation is slow, so ciphers are reused
+const ciphers = new Map();
+function cipherFromConfig(cfg) {
+	const e = (cfg && cfg.encryption) || {};
+	const secret = e.key || (e.key_file ? readSecretFile(e.key_file) : null);
+	if (!secret) return PLAIN;
+	if (!ciphers.has(secret)) ciphers.set(secret, createCipher(secret));
+	return ciphers.get(secret);
+}
+
+module.exports = {
+	resolveSecrets,
+	readSecretFile,
+	isEncrypted,
+	createCipher,
+	cipherFromConfig,
+};
@@ -1,8 +1,17 @@
-const { existsSync, readFileSync, writeFileSync, mkdirSync } = require("node:fs");
+const { existsSync, readFileSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync } = require("node:fs");
 const path = require("node:path");
 
 const DEFAULT_FILE = process.env.STATS_FILE || path.join(__dirname, "stats.json");
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const HOURLY_RETENTION = 8 * DAY;
+const DAILY_RETENTION = 400 * DAY;
+// compact the journal into the snapshot after this many events
+const COMPACT_EVERY = 500;
+// sync runs kept per account for the timeline
+const RUNS_KEPT = 200;
+
 function ensureDir(dir) {
 	try {
 		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
@@ -11,85 +20,289 @@ function ensureDir(dir) {
 	}
 }
 
-function loadRaw(fp) {
-	if (!existsSync(fp)) return { updatedAt: Date.now(), accounts: {} };
-	try {
-		const txt = readFileSync(fp, "utf8");
-		return JSON.parse(txt || "{}");
-	} catch (e) {
-		return { updatedAt: Date.now(), accounts: {} };
-	}
+function emptyAccount() {
+	return { hourly: {}, daily: {}, total: { imports: 0, bytes: 0 }, duplicates: 0, rule_hits: {}, scans: {}, paused: false, last_sync: null, runs: [] };
 }
 
-function saveRaw(fp, obj) {
-	try {
-		writeFileSync(fp, JSON.stringify(obj, null, 2));
-	} catch (e) {
-		// best-effort
-	}
+// bucket: { imports, bytes, failures }
+function addToBucket(buckets, key, field, amount) {
+	const b = buckets[key] || (buckets[key] = { imports: 0, bytes: 0, failures: 0 });
+	b[field] = (b[field] || 0) + amount;
 }
 
+// Stats kept as time-bucketed aggregates: imports, bytes and failed messages per
+// hour (8 days) and per day (400 days), all-time totals and the last sync runs.
+// State lives in a snapshot file (`stats_file`) and an append-only journal next
+// to it (`<stats_file>.journal`, one JSON event per line). Events carry a sequence number and the snapshot
+// remembers the last one it contains, so replaying the journal after a crash
+// during compaction never counts an event twice. The snapshot is replaced
+// atomically (write to .tmp, fsync, rename).
+// options.readOnly: only read the files, e.g. for the `stats` command next to a
+// running service. options.cipher (secrets.js) encrypts the snapshot and every
+// journal line.
 class StatsStore {
-	constructor(filePath) {
+	constructor(filePath, options) {
 		this.filePath = filePath || DEFAULT_FILE;
-		ensureDir(path.dirname(this.filePath));
-		this._data = loadRaw(this.filePath);
-		// normalize
-		if (!this._data.accounts) this._data.accounts = {};
+		this.journalPath = this.filePath + ".journal";
+		this.readOnly = !!(options && options.readOnly);
+		this.cipher = (options && options.cipher) || null;
+		this.loadError = null;
+		if (!this.readOnly) ensureDir(path.dirname(this.filePath));
+		this._data = { version: 2, seq: 0, updatedAt: Date.now(), accounts: {} };
+		this._loadSnapshot();
+		this._replay();
+		if (!this.readOnly) this._compact();
 	}
 
-	_persist() {
-		this._data.updatedAt = Date.now();
-		saveRaw(this.filePath, this._data);
+	_loadSnapshot() {
+		if (!existsSync(this.filePath)) return;
+		// a wrong key is fatal rather than a reason to move the file aside
+		const text = this._decrypt(readFileSync(this.filePath, "utf8"));
+		let raw;
+		try {
+			raw = JSON.parse(text || "{}");
+		} catch (e) {
+			if (this.readOnly) {
+				this.loadError = `Stats file ${this.filePath} is unreadable (${e.message})`;
+				return;
+			}
+			// keep the broken file for inspection instead of silently losing it
+			const aside = `${this.filePath}.corrupt-${Date.now()}`;
+			renameSync(this.filePath, aside);
+			this.loadError = `Stats file ${this.filePath} is unreadable (${e.message}), moved to ${aside}`;
+			return;
+		}
+		if (raw.version === 2) {
+			this._data = { ...this._data, ...raw };
+			for (const acc of Object.values(this._data.accounts)) {
+				acc.runs = acc.runs || [];
+				acc.scans = acc.scans || {};
+			}
+			return;
+		}
+		// version 1: { accounts: { name: { imports: [timestamps], duplicates, rule_hits, paused, last_sync } } }
+		for (const [name, old] of Object.entries(raw.accounts || {})) {
+			const acc = this._account(name);
+			for (const t of old.imports || []) this._applyImport(acc, t, 0);
+			acc.duplicates = old.duplicates || 0;
+			acc.rule_hits = old.rule_hits || {};
+			acc.paused = !!old.paused;
+			acc.last_sync = old.last_sync || null;
+		}
+		this._data.updatedAt = raw.updatedAt || Date.now();
 	}
 
-	_ensureAccount(name) {
-		if (!this._data.accounts[name]) {
-			this._data.accounts[name] = { imports: [], last_sync: null };
+	_replay() {
+		if (!existsSync(this.journalPath)) return;
+		const lines = readFileSync(this.journalPath, "utf8").split("\n");
+		let error = null;
+		for (let i = 0; i < lines.length; i++) {
+			if (!lines[i].trim()) continue;
+			let ev;
+			try {
+				ev = JSON.parse(this._decrypt(lines[i]));
+			} catch (e) {
+				// a torn last line after a crash has no newline yet, skip it; anything
+				// else (a wrong key, damaged data) is reported
+				if (i < lines.length - 1) error = error || e;
+				continue;
+			}
+			if (ev.seq > this._data.seq) this._apply(ev);
 		}
+		if (!error) return;
+		let message = `Stats journal ${this.journalPath} is unreadable (${error.message})`;
+		if (!this.readOnly) {
+			// compacting would overwrite it, keep it for inspection like the snapshot
+			const aside = `${this.journalPath}.corrupt-${Date.now()}`;
+			renameSync(this.journalPath, aside);
+			message += `, moved to ${aside}`;
+		}
+		this.loadError = this.loadError ? `${this.loadError}; ${message}` : message;
+	}
+
+	// write the snapshot atomically, then start an empty journal
+	_compact() {
+		this._prune();
+		if (this._fd !== undefined) closeSync(this._fd);
+		const tmp = this.filePath + ".tmp";
+		const fd = openSync(tmp, "w");
+		try {
+			writeSync(fd, this._encrypt(JSON.stringify(this._data)));
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, this.filePath);
+		this._fd = openSync(this.journalPath, "w");
+		this._pending = 0;
+	}
+
+	_prune() {
+		const now = Date.now();
+		const minHour = Math.floor((now - HOURLY_RETENTION) / HOUR);
+		const minDay = Math.floor((now - DAILY_RETENTION) / DAY);
+		for (const acc of Object.values(this._data.accounts)) {
+			for (const k of Object.keys(acc.hourly)) if (Number(k) < minHour) delete acc.hourly[k];
+			for (const k of Object.keys(acc.daily)) if (Number(k) < minDay) delete acc.daily[k];
+		}
+	}
+
+	_encrypt(text) {
+		return this.cipher ? this.cipher.encrypt(text) : text;
+	}
+
+	_decrypt(text) {
+		return this.cipher ? this.cipher.decrypt(text) : text;
+	}
+
+	_account(name) {
+		if (!this._data.accounts[name]) this._data.accounts[name] = emptyAccount();
 		return this._data.accounts[name];
 	}
 
-	// record that a message was successfully imported for account
-	recordImport(accountName, ts) {
-		const t = ts || Date.now();
-		const acc = this._ensureAccount(accountName);
-		acc.imports.push(t);
-		// prune imports older than 400 days to keep file small
-		const cutoff = Date.now() - 400 * 24 * 60 * 60 * 1000;
-		acc.imports = acc.imports.filter((x) => x >= cutoff);
-		this._persist();
+	_applyImport(acc, time, bytes) {
+		for (const [buckets, size] of [[acc.hourly, HOUR], [acc.daily, DAY]]) {
+			addToBucket(buckets, Math.floor(time / size), "imports", 1);
+			addToBucket(buckets, Math.floor(time / size), "bytes", bytes);
+		}
+		acc.total.imports++;
+		acc.total.bytes += bytes;
+	}
+
+	// runs: { start, end, status, message }; a 'started' run is finished by the next status
+	_applyRun(acc, ev) {
+		const last = acc.runs[acc.runs.length - 1];
+		// a run that never finished (process killed)
+		if (ev.status === "started" && last && last.end === null) Object.assign(last, { end: last.start, status: "interrupted" });
+		if (ev.status === "started") acc.runs.push({ start: ev.time, end: null, status: "started", message: null });
+		else if (last && last.end === null) Object.assign(last, { end: ev.time, status: ev.status, message: ev.message || null });
+		else acc.runs.push({ start: ev.time, end: ev.time, status: ev.status, message: ev.message || null });
+		if (acc.runs.length > RUNS_KEPT) acc.runs.splice(0, acc.runs.length - RUNS_KEPT);
+	}
+
+	_apply(ev) {
+		const acc = this._account(ev.account);
+		switch (ev.type) {
+			case "import":
+				this._applyImport(acc, ev.time, ev.bytes || 0);
+				break;
+			case "duplicate":
+				acc.duplicates++;
+				break;
+			case "failure":
+				addToBucket(acc.hourly, Math.floor(ev.time / HOUR), "failures", 1);
+				addToBucket(acc.daily, Math.floor(ev.time / DAY), "failures", 1);
+				break;
+			case "rule_hit":
+				acc.rule_hits[ev.rule] = (acc.rule_hits[ev.rule] || 0) + 1;
+				break;
+			case "scan":
+				acc.scans[ev.result] = (acc.scans[ev.result] || 0) + 1;
+				break;
+			case "paused":
+				acc.paused = !!ev.paused;
+				break;
+			case "sync":
+				acc.last_sync = { time: ev.time, status: ev.status, message: ev.message || null };
+				this._applyRun(acc, ev);
+				break;
+		}
+		this._data.seq = ev.seq;
+		this._data.updatedAt = ev.time;
+	}
+
+	_record(account, type, fields, time) {
+		if (this.readOnly) throw new Error("Stats store is opened read-only");
+		const ev = { seq: this._data.seq + 1, time: time || Date.now(), account, type, ...fields };
+		writeSync(this._fd, this._encrypt(JSON.stringify(ev)) + "\n");
+		fsyncSync(this._fd);
+		this._apply(ev);
+		if (++this._pending >= COMPACT_EVERY) this._compact();
+	}
+
+	// record that a message of `bytes` size was successfully imported for account
+	recordImport(accountName, bytes, ts) {
+		this._record(accountName, "import", { bytes: Number(bytes || 0) }, ts);
+	}
+
+	// record that a message was skipped because it was already imported
+	recordDuplicate(accountName) {
+		this._record(accountName, "duplicate", {});
+	}
+
+	// record that a message could not be retrieved or imported
+	recordFailure(accountName) {
+		this._record(accountName, "failure", {});
+	}
+
+	// record that a routing rule matched a message
+	recordRuleHit(accountName, ruleName) {
+		this._record(accountName, "rule_hit", { rule: ruleName });
+	}
+
+	// record the outcome of scanning a message (clean, spam, quarantine, unscanned, error)
+	recordScan(accountName, result) {
+		this._record(accountName, "scan", { result });
+	}
+
+	// paused accounts are skipped by the scheduler, also after a restart
+	setPaused(accountName, paused) {
+		this._record(accountName, "paused", { paused: !!paused });
+	}
+
+	isPaused(accountName) {
+		const acc = this._data.accounts[accountName];
+		return !!(acc && acc.paused);
 	}
 
 	// record last sync status for account: { status: 'success'|'fail'|'started', message?, time }
 	recordSyncStatus(accountName, status, message) {
-		const acc = this._ensureAccount(accountName);
-		acc.last_sync = { time: Date.now(), status: status, message: message || null };
-		this._persist();
+		this._record(accountName, "sync", { status, message: message || null });
 	}
 
-	// compute counts for the time ranges
-	_counts(imports) {
+	// imports and bytes for the last day/week (hourly buckets) and month/year (daily buckets)
+	_counts(acc) {
 		const now = Date.now();
-		const day = now - 24 * 60 * 60 * 1000;
-		const week = now - 7 * 24 * 60 * 60 * 1000;
-		const month = now - 30 * 24 * 60 * 60 * 1000;
-		const year = now - 365 * 24 * 60 * 60 * 1000;
-		return {
-			day: imports.filter((t) => t >= day).length,
-			week: imports.filter((t) => t >= week).length,
-			month: imports.filter((t) => t >= month).length,
-			year: imports.filter((t) => t >= year).length,
-			total: imports.length,
+		const sum = (buckets, size, span) => {
+			const from = Math.floor((now - span) / size);
+			let imports = 0;
+			let bytes = 0;
+			for (const [k, b] of Object.entries(buckets)) {
+				if (Number(k) > from) {
+					imports += b.imports;
+					bytes += b.bytes;
+				}
+			}
+			return { imports, bytes };
 		};
+		const ranges = {
+			day: sum(acc.hourly, HOUR, DAY),
+			week: sum(acc.hourly, HOUR, 7 * DAY),
+			month: sum(acc.daily, DAY, 30 * DAY),
+			year: sum(acc.daily, DAY, 365 * DAY),
+			total: acc.total,
+		};
+		const counts = {};
+		const bytes = {};
+		for (const [k, v] of Object.entries(ranges)) {
+			counts[k] = v.imports;
+			bytes[k] = v.bytes;
+		}
+		return { counts, bytes };
 	}
 
 	getAccountStats(accountName) {
-		const acc = this._data.accounts[accountName] || { imports: [], last_sync: null };
+		const acc = this._data.accounts[accountName] || emptyAccount();
+		const { counts, bytes } = this._counts(acc);
 		return {
 			account: accountName,
 			last_sync: acc.last_sync,
-			counts: this._counts(acc.imports || []),
+			counts,
+			bytes,
+			duplicates: acc.duplicates || 0,
+			rule_hits: acc.rule_hits || {},
+			scans: acc.scans || {},
+			paused: !!acc.paused,
 		};
 	}
 
@@ -100,6 +313,38 @@ class StatsStore {
 		}
 		return { updatedAt: this._data.updatedAt, accounts: out };
 	}
+
+	// the last `count` hours or days, oldest first: [{ time, imports, bytes, failures }], empty buckets included
+	getSeries(accountName, resolution, count) {
+		const acc = this._data.accounts[accountName] || emptyAccount();
+		const size = resolution === "hourly" ? HOUR : DAY;
+		const buckets = resolution === "hourly" ? acc.hourly : acc.daily;
+		const n = Number(count || (resolution === "hourly" ? 48 : 30));
+		const last = Math.floor(Date.now() / size);
+		const out = [];
+		for (let k = last - n + 1; k <= last; k++) {
+			const b = buckets[k] || {};
+			out.push({ time: k * size, imports: b.imports || 0, bytes: b.bytes || 0, failures: b.failures || 0 });
+		}
+		return out;
+	}
+
+	// sync runs that ended (or are still running) after `since`, oldest first
+	getRuns(accountName, since) {
+		const acc = this._data.accounts[accountName];
+		if (!acc) return [];
+		return acc.runs.filter((r) => (r.end === null ? Date.now() : r.end) >= (since || 0));
+	}
+
+	close() {
+		if (this.readOnly) return;
+		try {
+			this._compact();
+			closeSync(this._fd);
+		} catch (e) {
+			// ignore
+		}
+	}
 }
 
 module.exports = { StatsStore };
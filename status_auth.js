@@ -0,0 +1,167 @@
+const { createHash, createHmac, randomBytes, scrypt, scryptSync, timingSafeEqual } = require("node:crypto");
+const net = require("node:net");
+const { promisify } = require("node:util");
+
+const scryptAsync = promisify(scrypt);
+
+// --- Access control for the status server ---
+// status_auth.mode:
+//  - basic:  HTTP Basic against status_auth.users [{ username, password_hash }]
+//  - bearer: "Authorization: Bearer <status_auth.token>"
+//  - proxy:  user name from a header set by a reverse proxy, only accepted from
+//            status_auth.proxy.trusted_ips
+//  - none:   no authentication (default)
+// Mutating requests also need a CSRF token, except when sent with a bearer token.
+
+const MODES = ["none", "basic", "bearer", "proxy"];
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+// a verified Basic credential is remembered this long, so pages with their CSS,
+// charts and /metrics scrapes do not run scrypt on every request
+const VERIFIED_TTL_MS = 5 * 60 * 1000;
+const VERIFIED_MAX = 100;
+
+// "scrypt$<salt>$<hash>", both base64
+function hashPassword(password) {
+	const salt = randomBytes(SALT_BYTES);
+	const hash = scryptSync(String(password), salt, HASH_BYTES);
+	return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function safeEqual(a, b) {
+	const ba = Buffer.from(String(a));
+	const bb = Buffer.from(String(b));
+	return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+// { salt, hash } of a password_hash as written by hashPassword, null when it is
+// anything else (a placeholder, a truncated copy)
+function parsePasswordHash(stored) {
+	const m = /^scrypt\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/.exec(String(stored || ""));
+	if (!m) return null;
+	const salt = Buffer.from(m[1], "base64");
+	const hash = Buffer.from(m[2], "base64");
+	if (salt.length < SALT_BYTES || hash.length !== HASH_BYTES) return null;
+	return { salt, hash };
+}
+
+async function verifyPassword(password, stored) {
+	const parsed = parsePasswordHash(stored);
+	if (!parsed) return false;
+	const actual = await scryptAsync(String(password), parsed.salt, HASH_BYTES);
+	return timingSafeEqual(actual, parsed.hash);
+}
+
+function clientIp(req) {
+	const ip = req.socket.remoteAddress || "";
+	return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+// ["127.0.0.1", "10.0.0.0/8", "fd00::/8"] -> net.BlockList
+function trustedList(ips) {
+	const list = new net.BlockList();
+	for (const entry of ips || []) {
+		const [addr, prefix] = String(entry).split("/");
+		const type = net.isIPv6(addr) ? "ipv6" : "ipv4";
+		if (!net.isIP(addr)) throw new Error(`Invalid trusted_ips entry "${entry}"`);
+		if (prefix !== undefined) list.addSubnet(addr, Number(prefix), type);
+		else list.addAddress(addr, type);
+	}
+	return list;
+}
+
+function createStatusAuth(cfg, logger) {
+	const c = cfg || {};
+	const mode = c.mode || "none";
+	if (!MODES.includes(mode)) throw new Error(`Invalid status_auth.mode "${mode}", expected one of ${MODES.join(", ")}`);
+	if (mode === "basic" && !(Array.isArray(c.users) && c.users.length)) throw new Error("status_auth.mode basic requires status_auth.users");
+	for (const u of (mode === "basic" && c.users) || []) {
+		if (!parsePasswordHash(u.password_hash)) throw new Error(`status_auth user "${u.username}": invalid password_hash, generate one with node status_auth.js '<password>'`);
+	}
+	if (mode === "bearer" && !c.token) throw new Error("status_auth.mode bearer requires status_auth.token");
+	const proxy = c.proxy || {};
+	const proxyHeader = String(proxy.header || "X-Forwarded-User").toLowerCase();
+	const trusted = mode === "proxy" ? trustedList(proxy.trusted_ips || ["127.0.0.1", "::1"]) : null;
+	if (mode === "none") logger.warn("Status server has no authentication (status_auth.mode: none)");
+
+	// per-process secret: CSRF tokens are invalidated by a restart
+	const csrfSecret = randomBytes(32);
+	// sha256 of a verified Authorization header -> expiry time
+	const verified = new Map();
+
+	async function checkBasic(header, username, password) {
+		const key = createHash("sha256").update(header).digest("base64");
+		const now = Date.now();
+		const hit = verified.get(key);
+		if (hit > now) return true;
+		verified.delete(key);
+		const user = c.users.find((u) => u.username === username);
+		if (!user || !(await verifyPassword(password, user.password_hash))) return false;
+		if (verified.size >= VERIFIED_MAX) {
+			for (const [k, expires] of verified) if (expires <= now) verified.delete(k);
+			if (verified.size >= VERIFIED_MAX) verified.delete(verified.keys().next().value);
+		}
+		verified.set(key, now + VERIFIED_TTL_MS);
+		return true;
+	}
+
+	// resolves to { ok, user, via } or { ok: false, status, challenge }
+	async function authenticate(req) {
+		const header = req.headers.authorization || "";
+		if (mode === "none") return { ok: true, user: "anonymous", via: "none" };
+		if (mode === "bearer") {
+			const m = header.match(/^Bearer\s+(.+)$/i);
+			if (m && safeEqual(m[1].trim(), c.token)) return { ok: true, user: "bearer", via: "bearer" };
+			return { ok: false, status: 401, challenge: 'Bearer realm="pop3-to-gmail"' };
+		}
+		if (mode === "basic") {
+			const m = header.match(/^Basic\s+(.+)$/i);
+			if (m) {
+				const decoded = Buffer.from(m[1], "base64").toString("utf8");
+				const idx = decoded.indexOf(":");
+				const username = decoded.slice(0, idx);
+				const password = decoded.slice(idx + 1);
+				if (idx > 0 && (await checkBasic(header, username, password))) return { ok: true, user: username, via: "basic" };
+			}
+			return { ok: false, status: 401, challenge: 'Basic realm="pop3-to-gmail", charset="UTF-8"' };
+		}
+		// proxy
+		const ip = clientIp(req);
+		const user = req.headers[proxyHeader];
+		if (!trusted.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4")) {
+			logger.warn(`Status server: request from untrusted proxy address ${ip}`);
+			return { ok: false, status: 403 };
+		}
+		if (!user) return { ok: false, status: 401 };
+		return { ok: true, user: String(user), via: "proxy" };
+	}
+
+	function csrfToken(principal) {
+		return createHmac("sha256", csrfSecret).update(principal.user).digest("base64url");
+	}
+
+	// bearer clients are not browsers, cookies/basic credentials cannot be replayed cross-site
+	function checkCsrf(req, principal) {
+		if (principal.via === "bearer") return true;
+		const token = req.headers["x-csrf-token"];
+		return !!token && safeEqual(token, csrfToken(principal));
+	}
+
+	return { mode, authenticate, csrfToken, checkCsrf };
+}
+
+// node status_auth.js <password> -> prints a password_hash for status_auth.users
+if (require.main === module) {
+	if (process.argv.length < 3) {
+		console.error("Usage: node status_auth.js <password>");
+		process.exit(1);
+	}
+	console.log(hashPassword(process.argv[2]));
+}
+
+module.exports = {
+	hashPassword,
+	parsePasswordHash,
+	verifyPassword,
+	createStatusAuth,
+};
@@ -0,0 +1,551 @@
+const { existsSync, readFileSync, unlink } = require("node:fs");
+const http = require("node:http");
+const url = require("node:url");
+const destroyer = require("server-destroy");
+const { getFilterStatus, getQuotaStatus, getAuthWaiter, checkAuthState, finishAuthWaiter, isAwaitingAuth } = require("./gmail_functions.js");
+const { createStatusAuth } = require("./status_auth.js");
+const { registry, metrics } = require("./metrics.js");
+const { importChart, syncTimeline } = require("./charts.js");
+
+// Bootstrap is served from node_modules, the pages work without internet access
+const STATIC_FILES = {
+	'/static/bootstrap.min.css': { file: require.resolve('bootstrap/dist/css/bootstrap.min.css'), type: 'text/css; charset=utf-8' },
+};
+
+// chart ranges on the status page: resolution and number of buckets
+const CHART_RANGES = {
+	'48h': { resolution: 'hourly', count: 48, label: '48 hours' },
+	'7d': { resolution: 'hourly', count: 168, label: '7 days' },
+	'30d': { resolution: 'daily', count: 30, label: '30 days' },
+	'1y': { resolution: 'daily', count: 365, label: '1 year' },
+};
+
+// --- HTTP server stuff ---
+// app: {
+//   logger, stats, uids, history,
+//   getConfig(), getConfigError(), getScheduler(), getGmailClient(), getDryRuns(), getOversized(), getQuarantine(),
+//   syncNow(name), setPaused(name, paused), reauthenticate()   -> { ok, message }
+// }
+
+function escapeHtml(v) {
+	return String(v === null || v === undefined ? "" : v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function formatBytes(n) {
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	let i = 0;
+	let v = Number(n || 0);
+	while (v >= 1024 && i < units.length - 1) {
+		v /= 1024;
+		i++;
+	}
+	return `${i ? v.toFixed(1) : v} ${units[i]}`;
+}
+
+function sendJson(res, status, obj) {
+	res.statusCode = status;
+	res.setHeader('Content-Type', 'application/json');
+	res.end(JSON.stringify(obj));
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		req.on('data', d => body += d);
+		req.on('end', () => resolve(body));
+		req.on('error', reject);
+	});
+}
+
+// history filter from the query string; from/to are dates (YYYY-MM-DD, to inclusive)
+function historyFilter(params) {
+	const day = (v, add) => {
+		if (!v) return null;
+		const t = new Date(`${v}T00:00:00`).getTime();
+		return isNaN(t) ? null : t + (add ? 24 * 60 * 60 * 1000 : 0);
+	};
+	return {
+		account: params.get('account') || null,
+		outcome: params.get('outcome') || null,
+		from: day(params.get('from')),
+		to: day(params.get('to'), true),
+		q: params.get('q') || null,
+		limit: Math.min(Number(params.get('limit')) || 100, 1000),
+		offset: Number(params.get('offset')) || 0,
+	};
+}
+
+// all configured accounts plus the ones that only have stats
+function accountNames(app, data) {
+	const names = new Set(Object.keys(data.accounts || {}));
+	const scheduler = app.getScheduler();
+	if (scheduler) for (const name of Object.keys(scheduler.getState())) names.add(name);
+	return [...names];
+}
+
+// full status as served by /api/status, including the CSRF token for POSTs
+function apiStatus(app, csrfToken) {
+	const data = app.stats.getAllStats();
+	const scheduler = app.getScheduler();
+	const gmailclient = app.getGmailClient();
+	return {
+		csrfToken,
+		updatedAt: data.updatedAt,
+		accounts: data.accounts,
+		scheduler: scheduler ? scheduler.getState() : {},
+		gmail: {
+			awaitingAuth: isAwaitingAuth(),
+			filters: gmailclient && gmailclient.applyFilters ? getFilterStatus() : null,
+			quota: getQuotaStatus(),
+		},
+		dryRuns: app.getDryRuns ? Object.fromEntries(app.getDryRuns()) : {},
+		quarantine: app.getQuarantine ? app.getQuarantine().list() : [],
+		oversized: app.getOversized ? Object.fromEntries([...app.getOversized()].map(([name, known]) => [name, [...known.values()]])) : {},
+		configError: app.getConfigError ? app.getConfigError() : null,
+	};
+}
+
+// POST /api/...; returns true when the route was handled
+async function handleApi(app, req, res, reqUrl, csrfToken) {
+	const pathname = reqUrl.pathname;
+	if (req.method === 'GET' && pathname === '/api/status') {
+		sendJson(res, 200, apiStatus(app, csrfToken));
+		return true;
+	}
+	if (req.method === 'GET' && pathname === '/api/history') {
+		sendJson(res, 200, app.history.query(historyFilter(reqUrl.searchParams)));
+		return true;
+	}
+	let m;
+	if (req.method === 'GET' && (m = pathname.match(/^\/api\/accounts\/([^/]+)\/series$/))) {
+		const resolution = reqUrl.searchParams.get('resolution') === 'hourly' ? 'hourly' : 'daily';
+		const count = Math.min(Number(reqUrl.searchParams.get('count')) || (resolution === 'hourly' ? 48 : 30), resolution === 'hourly' ? 192 : 400);
+		sendJson(res, 200, { resolution, series: app.stats.getSeries(decodeURIComponent(m[1]), resolution, count) });
+		return true;
+	}
+	if (req.method !== 'POST') return false;
+	if ((m = pathname.match(/^\/api\/accounts\/([^/]+)\/(sync|pause|resume)$/))) {
+		const name = decodeURIComponent(m[1]);
+		const result = m[2] === 'sync' ? app.syncNow(name) : app.setPaused(name, m[2] === 'pause');
+		sendJson(res, result.ok ? 200 : 404, result);
+		return true;
+	}
+	if ((m = pathname.match(/^\/api\/quarantine\/([0-9a-f]+)\/(retry|discard)$/))) {
+		const result = m[2] === 'retry' ? await app.retryQuarantined(m[1]) : app.discardQuarantined(m[1]);
+		sendJson(res, result.ok ? 200 : 409, result);
+		return true;
+	}
+	if (pathname === '/api/reauth') {
+		const result = app.reauthenticate();
+		sendJson(res, result.ok ? 200 : 500, result);
+		return true;
+	}
+	return false;
+}
+
+// POST /status { deleteToken: true }
+async function handleStatusPost(app, req, res) {
+	const tokenPath = app.getConfig().gmail.token_file;
+	let postData;
+	try {
+		postData = JSON.parse(await readBody(req));
+	} catch (e) {
+		sendJson(res, 400, { ok: false, message: 'Invalid JSON' });
+		return;
+	}
+	if (postData.deleteToken) {
+		unlink(tokenPath, (err) => {
+			if (err) sendJson(res, 500, { ok: false, message: 'Error deleting token: ' + (err.message || err) });
+			else sendJson(res, 200, { ok: true, message: 'Token deleted. Use Re-authenticate to authorize again.' });
+		});
+		return;
+	}
+	sendJson(res, 400, { ok: false, message: 'Unknown action' });
+}
+
+function renderHistory(app, reqUrl) {
+	const params = reqUrl.searchParams;
+	const filter = historyFilter(params);
+	const result = app.history.query(filter);
+	const value = (k) => escapeHtml(params.get(k) || '');
+	const option = (v, current) => `<option value="${escapeHtml(v)}"${v === current ? ' selected' : ''}>${escapeHtml(v || 'all')}</option>`;
+	const accounts = [...new Set([...accountNames(app, app.stats.getAllStats()), ...app.history.accounts()])];
+	let html = `<html>
+		<head>
+			<title>POP3->Gmail history</title>
+			<link href="/static/bootstrap.min.css" rel="stylesheet">
+		</head>
+		<body><div class="container-fluid">
+			<h2>History <small class="text-muted"><a href="/status">status</a></small></h2>
+			<form class="row g-2 mb-3" method="get" action="/history">
+				<div class="col-auto"><select class="form-select" name="account">${['', ...accounts].map((a) => option(a, filter.account || '')).join('')}</select></div>
+				<div class="col-auto"><select class="form-select" name="outcome">${['', 'imported', 'duplicate', 'dropped', 'oversized', 'quarantined', 'discarded', 'failed'].map((o) => option(o, filter.outcome || '')).join('')}</select></div>
+				<div class="col-auto"><input class="form-control" type="date" name="from" value="${value('from')}"></div>
+				<div class="col-auto"><input class="form-control" type="date" name="to" value="${value('to')}"></div>
+				<div class="col"><input class="form-control" type="search" name="q" placeholder="From, subject, Message-ID, Gmail ID, error" value="${value('q')}"></div>
+				<div class="col-auto"><button class="btn btn-primary" type="submit">Search</button></div>
+			</form>
+			<p>${result.total} message(s)</p>
+			<table class="table table-sm">
+				<tr><th>Time</th><th>Account</th><th>Outcome</th><th>From</th><th>Subject</th><th>Date</th><th>Size</th><th>Message-ID</th><th>Gmail ID</th><th>Labels</th><th>Error</th></tr>`;
+	const badge = { imported: 'bg-success', duplicate: 'bg-secondary', dropped: 'bg-warning text-dark', oversized: 'bg-warning text-dark', quarantined: 'bg-danger', discarded: 'bg-secondary', failed: 'bg-danger' };
+	for (const e of result.entries) {
+		html += `<tr><td class="text-nowrap">${new Date(e.time).toLocaleString()}</td><td>${escapeHtml(e.account)}</td><td><span class="badge ${badge[e.outcome] || 'bg-info'}">${escapeHtml(e.outcome)}</span></td><td>${escapeHtml(e.from)}</td><td>${escapeHtml(e.subject)}</td><td>${escapeHtml(e.date)}</td><td class="text-nowrap">${e.size !== undefined ? formatBytes(e.size) : ''}</td><td><code>${escapeHtml(e.message_id)}</code></td><td><code>${escapeHtml(e.gmail_id)}</code></td><td>${escapeHtml((e.labels || []).join(', '))}${e.scan ? `<br><small class="text-muted">scan: ${escapeHtml(e.scan)}</small>` : ''}</td><td>${escapeHtml(e.error)}</td></tr>`;
+	}
+	html += `</table>`;
+	// paging keeps the other filters
+	const page = (offset) => {
+		const p = new URLSearchParams(params);
+		p.set('offset', String(offset));
+		return `/history?${escapeHtml(p.toString())}`;
+	};
+	if (filter.offset > 0) html += `<a class="btn btn-outline-secondary me-2" href="${page(Math.max(0, filter.offset - filter.limit))}">Newer</a>`;
+	if (filter.offset + filter.limit < result.total) html += `<a class="btn btn-outline-secondary" href="${page(filter.offset + filter.limit)}">Older</a>`;
+	html += `</div></body></html>`;
+	return html;
+}
+
+// per-account import charts and sync timelines for the selected range
+function renderCharts(app, names, rangeKey) {
+	const range = CHART_RANGES[rangeKey] || CHART_RANGES['48h'];
+	const size = range.resolution === 'hourly' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+	const to = Date.now();
+	const from = (Math.floor(to / size) - range.count + 1) * size;
+	let html = `<h2>Charts</h2>
+		<div class="btn-group mb-3" role="group">`;
+	for (const [key, r] of Object.entries(CHART_RANGES)) {
+		html += `<a class="btn btn-sm ${r === range ? 'btn-secondary' : 'btn-outline-secondary'}" href="/status?range=${key}">${r.label}</a>`;
+	}
+	html += `</div>
+		<p class="small text-muted"><span style="color:#0d6efd">&#9632;</span> imported <span style="color:#dc3545">&#9632;</span> failed &nbsp; runs: <span style="color:#198754">&#9632;</span> success <span style="color:#dc3545">&#9632;</span> fail <span style="color:#0d6efd">&#9632;</span> running <span style="color:#6c757d">&#9632;</span> interrupted</p>`;
+	for (const name of names) {
+		const series = app.stats.getSeries(name, range.resolution, range.count);
+		html += `<h5>${escapeHtml(name)}</h5>
+			<div>${importChart(series, { hourly: range.resolution === 'hourly' })}</div>
+			<div class="mb-4">${syncTimeline(app.stats.getRuns(name, from), from, to)}</div>`;
+	}
+	return html;
+}
+
+// last dry run report of every account in dry run mode
+function renderDryRuns(app) {
+	const reports = app.getDryRuns ? [...app.getDryRuns()] : [];
+	if (!reports.length) return '';
+	let html = `<h2>Dry run</h2>
+		<p>Nothing is imported, created or deleted for these accounts; the last run would have done this.</p>`;
+	for (const [name, report] of reports) {
+		html += `<h5>${escapeHtml(name)} <small class="text-muted">${new Date(report.time).toString()}</small></h5>`;
+		if (report.error) html += `<p><span class="badge bg-danger">${escapeHtml(report.error)}</span></p>`;
+		if (!report.messages.length) {
+			html += `<p>No messages to import.</p>`;
+			continue;
+		}
+		html += `<table class="table table-sm">
+			<tr><th>Message</th><th>From</th><th>Subject</th><th>Size</th><th>Date</th><th>Labels</th><th>Action</th><th>Then</th></tr>`;
+		for (const m of report.messages) {
+			const labels = m.labels.map((l) => escapeHtml(l) + (m.new_labels.includes(l) ? ' <span class="badge bg-secondary">new</span>' : '')).join('<br>');
+			const action = escapeHtml(m.action) + (m.trash ? ', then trash' : '') + (m.rules.length ? `<br><small class="text-muted">rules: ${escapeHtml(m.rules.join(', '))}</small>` : '');
+			html += `<tr><td>${escapeHtml(m.source_id)}</td><td>${escapeHtml(m.from || '')}</td><td>${escapeHtml(m.subject || '')}</td><td>${formatBytes(m.size)}</td><td>${m.date ? escapeHtml(new Date(m.date).toString()) : '<span class="text-muted">import time</span>'}</td><td>${m.action === 'drop' ? '-' : labels}</td><td>${action}</td><td>${escapeHtml(m.after)}</td></tr>`;
+		}
+		html += `</table>`;
+	}
+	return html;
+}
+
+// messages that failed too often, with retry and discard buttons
+function renderQuarantine(app) {
+	const entries = app.getQuarantine ? app.getQuarantine().list() : [];
+	if (!entries.length) return '';
+	let html = `<h2>Quarantine</h2>
+		<p>These messages failed to import too often and are no longer tried. <em>Retry</em> imports the quarantined copy now, <em>Discard</em> deletes it; a message still on the server is then handled like an imported one on the next run.</p>
+		<table class="table table-sm">
+			<tr><th>Account</th><th>Message</th><th>From</th><th>Subject</th><th>Size</th><th>Attempts</th><th>Quarantined</th><th>Error</th><th></th></tr>`;
+	for (const e of entries) {
+		const path = `/api/quarantine/${e.id}`;
+		html += `<tr><td>${escapeHtml(e.account)}</td><td>${escapeHtml(e.source_id)}${e.deleted_from_server ? ' <span class="badge bg-secondary">deleted from server</span>' : ''}</td><td>${escapeHtml(e.from || '')}</td><td>${escapeHtml(e.subject || '')}</td><td>${e.size !== undefined ? formatBytes(e.size) : ''}</td><td>${e.attempts || '-'}</td><td>${new Date(e.quarantined_at).toString()}</td><td>${escapeHtml(e.error)}</td>
+			<td class="text-nowrap"><button class="btn btn-sm btn-primary" onclick="postApi('${path}/retry')">Retry</button>
+			<button class="btn btn-sm btn-outline-danger" onclick="postApi('${path}/discard')">Discard</button></td></tr>`;
+	}
+	return html + `</table>`;
+}
+
+// messages over max_message_size_mb seen in the last run of every account
+function renderOversized(app) {
+	const rows = [];
+	for (const [name, known] of app.getOversized ? app.getOversized() : []) {
+		for (const m of known.values()) rows.push({ name, ...m });
+	}
+	if (!rows.length) return '';
+	const what = { leave: 'left on the server', skip: 'not imported', archive: 'archived only' };
+	let html = `<h2>Oversized messages</h2>
+		<p>Too large to import (<code>max_message_size_mb</code>, Gmail takes at most 50 MB); <code>oversized_action</code> decides what happens to them.</p>
+		<table class="table table-sm">
+			<tr><th>Account</th><th>Message</th><th>From</th><th>Subject</th><th>Size</th><th>Seen since</th><th>Action</th></tr>`;
+	for (const m of rows) {
+		html += `<tr><td>${escapeHtml(m.name)}</td><td>${escapeHtml(m.source_id)}</td><td>${escapeHtml(m.from || '')}</td><td>${escapeHtml(m.subject || '')}</td><td>${formatBytes(m.size)}</td><td>${new Date(m.first_seen).toString()}</td><td>${what[m.action]}</td></tr>`;
+	}
+	return html + `</table>`;
+}
+
+// rate limiter waits and retried Gmail API calls, only once there were any
+function renderThrottling() {
+	const quota = getQuotaStatus();
+	if (!quota.waits && !quota.retries) return '';
+	let html = `<h2>Gmail throttling</h2>
+		<p>Limit ${quota.unitsPerSecond} quota units/s | waited ${quota.waits} time(s), ${(quota.waitedMs / 1000).toFixed(1)}s in total | ${quota.retries} retried call(s)` + (quota.pausedUntil ? ` | <span class="badge bg-warning text-dark">paused until ${new Date(quota.pausedUntil).toString()}</span>` : '') + `</p>`;
+	if (quota.events.length) {
+		html += `<table class="table table-sm">
+			<tr><th>Time</th><th>Call</th><th>Error</th><th>Attempt</th><th>Retry in</th></tr>`;
+		for (const e of quota.events) {
+			html += `<tr><td>${new Date(e.time).toString()}</td><td>${escapeHtml(e.operation)}</td><td>${escapeHtml(e.code)}</td><td>${e.attempt}</td><td>${(e.delayMs / 1000).toFixed(1)}s${e.retryAfter ? ' <small class="text-muted">(Retry-After)</small>' : ''}</td></tr>`;
+		}
+		html += `</table>`;
+	}
+	return html;
+}
+
+function renderStatus(app, req, secondhop, csrfToken, rangeKey) {
+	const data = app.stats.getAllStats();
+	const tokenPath = app.getConfig().gmail.token_file;
+	const scheduler = app.getScheduler();
+	const gmailclient = app.getGmailClient();
+	let html = `<html>
+		<head>
+			<title>POP3->Gmail status</title>
+			<meta name="csrf-token" content="${escapeHtml(csrfToken)}">
+			<link href="/static/bootstrap.min.css" rel="stylesheet">
+		</head>
+		<body><div class="container">
+			<div id="statusAlert" class="alert alert-warning d-none" role="alert" style="display:none;"></div>
+			<h2>Status <small class="text-muted"><a href="/history">history</a></small></h2>
+			<p>Updated: ${new Date(data.updatedAt || Date.now()).toString()}</p>`;
+
+	// an invalid edit of the config file, the last good config keeps running
+	const configError = app.getConfigError ? app.getConfigError() : null;
+	if (configError) {
+		html += `<div class="alert alert-danger" role="alert"><strong>Config file not reloaded</strong> (${new Date(configError.time).toString()}), still running the last good config:
+			<ul class="mb-0">${configError.problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul></div>`;
+	}
+
+	// Construct the desired redirect URI. If the host is local (localhost or 127.0.0.1)
+	// use the callback directly so the OAuth flow returns to the running service.
+	// Otherwise use the remote redirect helper, the local callback is passed
+	// base64-encoded in the OAuth state (see GmailClient.getAuthorizeUrl).
+	const host = req.headers.host;
+	const callbackUrl = `http://${host}/oauthcallback`;
+	let redirectUri;
+	let secondhopCallback;
+
+	if (host.includes("localhost") || host.includes("127.0.0.1")) {
+		redirectUri = callbackUrl;
+		secondhopCallback = null;
+	} else {
+		redirectUri = secondhop;
+		secondhopCallback = callbackUrl;
+	}
+
+	if (gmailclient) {
+		const newurl = gmailclient.getAuthorizeUrl(redirectUri, secondhopCallback);
+		if (newurl) {
+			html += `<div class="alert alert-primary" role="alert"><strong>Waiting for OAuth authorization:</strong> <a href="${escapeHtml(newurl)}">Click here</a></div>`;
+		}
+	}
+
+	html += `<div class="mb-3">
+		<button class="btn btn-secondary" onclick="postApi('/api/reauth')">Re-authenticate</button>`;
+	if (existsSync(tokenPath)) {
+		html += ` <button class="btn btn-danger" onclick="postAction({deleteToken: true})">Delete Token</button>`;
+	}
+	html += `</div>`;
+
+	html += `<h2>Statistics</h2>
+		<table class="table">
+			<tr><th>Account</th><th>Next Run</th><th>Last Sync</th><th>Day</th><th>Week</th><th>Month</th><th>Year</th><th>Total</th><th>Imported size</th><th>Duplicates skipped</th><th>Tracked UIDs</th><th>Rule hits</th><th>Scans</th><th></th></tr>`;
+	const jobs = scheduler ? scheduler.getState() : {};
+	for (const k of accountNames(app, data)) {
+		const v = app.stats.getAccountStats(k);
+		const job = jobs[k];
+		const nr = !job ? 'n/a' : job.running ? '<span class="badge bg-primary">running</span>' : job.paused ? '<span class="badge bg-warning text-dark">paused</span>' : job.nextRun ? `${new Date(job.nextRun).toString()} <small class="text-muted">(${job.schedule})</small>` : 'never';
+		const ls = v.last_sync ? `${new Date(v.last_sync.time).toString()} | <span class="badge bg-info text-dark">${v.last_sync.status}</span>` + (v.last_sync.message ? ` - ${escapeHtml(v.last_sync.message)}` : '') : 'n/a';
+		const ruleHits = Object.entries(v.rule_hits || {}).map(([r, n]) => `${escapeHtml(r)}: ${n}`).join('<br>') || '-';
+		const scans = Object.entries(v.scans || {}).map(([r, n]) => `${escapeHtml(r)}: ${n}`).join('<br>') || '-';
+		const path = `/api/accounts/${encodeURIComponent(k).replace(/'/g, '%27')}`;
+		const actions = job ? `<button class="btn btn-sm btn-primary" onclick="postApi('${path}/sync')">Sync now</button>
+			<button class="btn btn-sm btn-outline-secondary" onclick="postApi('${path}/${job.paused ? 'resume' : 'pause'}')">${job.paused ? 'Resume' : 'Pause'}</button>` : '';
+		html += `<tr><td>${escapeHtml(k)}</td><td>${nr}</td><td>${ls}</td><td>${v.counts.day}</td><td>${v.counts.week}</td><td>${v.counts.month}</td><td>${v.counts.year}</td><td>${v.counts.total}</td><td>${formatBytes(v.bytes.total)}</td><td>${v.duplicates}</td><td>${app.uids ? app.uids.count(k) : 0}</td><td>${ruleHits}</td><td>${scans}</td><td class="text-nowrap">${actions}</td></tr>`;
+	}
+	html += `</table>`;
+	html += renderDryRuns(app);
+	html += renderQuarantine(app);
+	html += renderOversized(app);
+	html += renderCharts(app, accountNames(app, data), rangeKey);
+	html += renderThrottling();
+	if (gmailclient && gmailclient.applyFilters) {
+		const filterStatus = getFilterStatus();
+		html += `<h2>Gmail filters</h2>
+			<p>${filterStatus.count} filter(s) applied, loaded ${filterStatus.loadedAt ? new Date(filterStatus.loadedAt).toString() : 'never'}` + (filterStatus.error ? ` | <span class="badge bg-danger">${escapeHtml(filterStatus.error)}</span>` : '') + `</p>`;
+		if (filterStatus.unsupported.length) {
+			html += `<p>Not applied, unsupported criteria:</p><table class="table table-sm">
+				<tr><th>Filter</th><th>Reason</th><th>Criteria</th></tr>`;
+			for (const u of filterStatus.unsupported) {
+				html += `<tr><td>${escapeHtml(u.id)}</td><td>${escapeHtml(u.reason)}</td><td><code>${escapeHtml(JSON.stringify(u.criteria))}</code></td></tr>`;
+			}
+			html += `</table>`;
+		}
+	}
+	html += `</div>` + `
+	<script>
+		const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+		function showMessage(message) {
+			const el = document.getElementById('statusAlert');
+			el.textContent = message;
+			el.style.display = 'block';
+			el.classList.remove('d-none');
+		}
+		async function postAction(payload) {
+			try {
+				const resp = await fetch('/status', {
+					method: 'POST',
+					headers: {'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken},
+					body: JSON.stringify(payload)
+				});
+				const data = await resp.json();
+				showMessage(data.message);
+			} catch (err) {
+				console.log('Request failed: ' + (err.message || err));
+			}
+		}
+		async function postApi(path) {
+			try {
+				const resp = await fetch(path, { method: 'POST', headers: {'X-CSRF-Token': csrfToken} });
+				const data = await resp.json();
+				showMessage(data.message);
+				setTimeout(() => location.reload(), 1500);
+			} catch (err) {
+				console.log('Request failed: ' + (err.message || err));
+			}
+		}
+	</script>` + `</body></html>`;
+	return html;
+}
+
+// Start a simple status HTTP server. Exposes:
+// - GET /oauthcallback[/<nonce>]?code=...&state=... -> handles OAuth callbacks if registered
+// - GET /status[?range=48h|7d|30d|1y] -> stats table and charts, POST /status -> deleteToken
+// - GET /static/bootstrap.min.css
+// - GET /api/status, GET /api/accounts/<name>/series?resolution=hourly|daily&count=N
+// - POST /api/accounts/<name>/(sync|pause|resume), POST /api/reauth
+// - POST /api/quarantine/<id>/(retry|discard)
+// - GET /history -> searchable message history, GET /api/history?account=&outcome=&from=&to=&q=&limit=&offset=
+// - GET /metrics -> Prometheus metrics
+// Everything but the OAuth callback requires status_auth, POSTs also a CSRF token.
+function startStatusServer(app, port, secondhop) {
+	const logger = app.logger;
+	const p = Number(port || process.env.STATUS_PORT || 3000);
+	// rebuilt when status_auth changes in a reloaded config
+	let authCfg = JSON.stringify(app.getConfig().status_auth || null);
+	let auth = createStatusAuth(app.getConfig().status_auth, logger);
+	const httpServer = http.createServer(async (req, res) => {
+		try {
+			const reqUrl = new url.URL(req.url, `http://localhost:${p}`);
+			// OAuth callback handling: if someone registered a waiter for this pathname,
+			// let the waiter handle it (it contains oauth2Client + resolve/reject).
+			// It is protected by the state nonce instead of status_auth.
+			const cb = reqUrl.pathname.match(/^(\/oauthcallback)(?:\/([0-9a-f]+))?$/);
+			const waiter = cb && getAuthWaiter(cb[1]);
+			if (waiter) {
+				if (!checkAuthState(cb[2] || reqUrl.searchParams.get('state'))) {
+					res.statusCode = 400;
+					res.end('Invalid or expired OAuth state, start again from the status page.');
+					logger.warn('OAuth callback rejected: invalid or expired state');
+					return;
+				}
+				const code = reqUrl.searchParams.get('code');
+				const error = reqUrl.searchParams.get('error');
+				if (error) {
+					res.statusCode = 400;
+					res.end('Authentication failed: ' + error);
+					try { waiter.reject(new Error('OAuth error: ' + error)); } catch(e){}
+					logger.warn(`OAuth error on callback: ${error}`);
+					return;
+				}
+				res.end(`<!DOCTYPE html><html>
+					<head><meta http-equiv="refresh" content="5; url=/status"></head>
+					<body>Authentication successful! Redirecting to the <a href="/status">status page</a>.</body>
+					</html>`);
+				finishAuthWaiter(waiter, code);
+				logger.info('OAuth authentication successful via callback');
+				return;
+			}
+			const statusAuth = app.getConfig().status_auth;
+			if (JSON.stringify(statusAuth || null) !== authCfg) {
+				auth = createStatusAuth(statusAuth, logger);
+				authCfg = JSON.stringify(statusAuth || null);
+				logger.info('Status server: status_auth changed, applied');
+			}
+			const principal = await auth.authenticate(req);
+			if (!principal.ok) {
+				res.statusCode = principal.status;
+				if (principal.challenge) res.setHeader('WWW-Authenticate', principal.challenge);
+				res.end(principal.status === 403 ? 'Forbidden' : 'Authentication required');
+				return;
+			}
+			if (req.method === 'POST' && !auth.checkCsrf(req, principal)) {
+				sendJson(res, 403, { ok: false, message: 'Missing or invalid CSRF token, reload the page' });
+				logger.warn(`Status server: rejected ${req.url} without valid CSRF token`);
+				return;
+			}
+			const staticFile = req.method === 'GET' && STATIC_FILES[reqUrl.pathname];
+			if (staticFile) {
+				res.setHeader('Content-Type', staticFile.type);
+				res.setHeader('Cache-Control', 'max-age=86400');
+				res.end(readFileSync(staticFile.file));
+				return;
+			}
+			if (req.method === 'GET' && reqUrl.pathname === '/metrics') {
+				metrics.awaitingAuth.set({}, isAwaitingAuth() ? 1 : 0);
+				res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+				res.end(registry.render());
+				return;
+			}
+			if (reqUrl.pathname.startsWith('/api/')) {
+				if (await handleApi(app, req, res, reqUrl, auth.csrfToken(principal))) return;
+				sendJson(res, 404, { ok: false, message: 'Unknown API route' });
+				return;
+			}
+			if (req.method === 'GET' && reqUrl.pathname === '/history') {
+				res.setHeader('Content-Type', 'text/html; charset=utf-8');
+				res.end(renderHistory(app, reqUrl));
+				return;
+			}
+			if (reqUrl.pathname === '/status') {
+				if (req.method === 'POST') {
+					await handleStatusPost(app, req, res);
+					return;
+				}
+				res.setHeader('Content-Type', 'text/html; charset=utf-8');
+				res.end(renderStatus(app, req, secondhop, auth.csrfToken(principal), reqUrl.searchParams.get('range')));
+				return;
+			}
+			res.statusCode = 404;
+			res.end(`<!DOCTYPE html><html>
+					<head><meta http-equiv="refresh" content="5; url=/status"></head>
+					<body>Not found! Redirecting to the <a href="/status">status page</a>.</body>
+					</html>`);
+			logger.warn(`Status server: unknown request for ${req.url}`);
+		} catch (e) {
+			res.statusCode = 500;
+			res.end('Server error');
+			logger.error(`Status server error: ${e.message || e}`);
+		}
+	}).listen(p, () => {
+		logger.info(`Status server listening on http://localhost:${p}/status`);
+	});
+	destroyer(httpServer);
+	return httpServer;
+}
+
+module.exports = {
+	escapeHtml,
+	startStatusServer,
+};
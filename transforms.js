@@ -0,0 +1,290 @@
+const DAY = 24 * 60 * 60 * 1000;
+// Date headers before this are taken as garbage
+const MIN_DATE = Date.UTC(1980, 0, 1);
+
+// raw message as latin1 text (byte for byte) split into header fields and body
+function split(raw) {
+	return splitText(raw.toString("latin1"));
+}
+
+function splitText(text) {
+	// a part may have no header fields at all
+	const m = /^\r?\n/.exec(text) || /\r?\n\r?\n/.exec(text);
+	const head = m ? text.slice(0, m.index) : text;
+	const eol = /\r\n/.test(m ? m[0] : head) ? "\r\n" : "\n";
+	return {
+		// a field is a line with its continuation lines
+		fields: head ? head.split(/\r?\n(?=[^ \t])/) : [],
+		body: m ? text.slice(m.index + m[0].length) : "",
+		eol,
+		hasBody: !!m,
+	};
+}
+
+function join(msg) {
+	return Buffer.from(joinText(msg), "latin1");
+}
+
+function joinText(msg) {
+	const head = msg.fields.join(msg.eol);
+	return msg.hasBody ? head + msg.eol + msg.eol + msg.body : head;
+}
+
+// header fields on top of the message, like the trace headers of a delivery
+function prependHeaders(raw, added) {
+	if (!added.length) return raw;
+	const msg = split(raw);
+	msg.fields = [...added.map((f) => f.replace(/\r?\n/g, msg.eol)), ...msg.fields];
+	return join(msg);
+}
+
+function fieldName(field) {
+	const i = field.indexOf(":");
+	return i > 0 ? field.slice(0, i).trim().toLowerCase() : "";
+}
+
+function fieldValue(field) {
+	return field.slice(field.indexOf(":") + 1).replace(/\r?\n[ \t]+/g, " ").trim();
+}
+
+// text to one or more UTF-8 "B" encoded words of at most 75 characters
+function encodeWords(text) {
+	const words = [];
+	let chunk = "";
+	for (const ch of text) {
+		if (Buffer.byteLength(chunk + ch) > 45) {
+			words.push(chunk);
+			chunk = "";
+		}
+		chunk += ch;
+	}
+	if (chunk) words.push(chunk);
+	return words.map((w) => `=?UTF-8?B?${Buffer.from(w).toString("base64")}?=`).join(" ");
+}
+
+// non-ASCII quoted strings and words of a header value as encoded words; addresses stay as they are
+function encodeValue(value) {
+	if (/^[\x00-\x7f]*$/.test(value)) return value;
+	return value
+		.replace(/"((?:[^"\\]|\\.)*[^\x00-\x7f](?:[^"\\]|\\.)*)"/g, (m, inner) => encodeWords(inner.replace(/\\(.)/g, "$1")))
+		.replace(/[^\s"]*[^\x00-\x7f][^\s"]*(?:\s+[^\s"]*[^\x00-\x7f][^\s"]*)*/g, (run) => encodeWords(run));
+}
+
+// value of the first field with this name, or ""
+function header(msg, name) {
+	const field = msg.fields.find((f) => fieldName(f) === name);
+	return field ? fieldValue(field) : "";
+}
+
+// body text of a part per its Content-Transfer-Encoding, latin1 byte for byte
+function decodeBody(body, encoding) {
+	if (encoding === "base64") return Buffer.from(body, "base64").toString("latin1");
+	if (encoding === "quoted-printable") return body.replace(/=\r?\n/g, "").replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+	return body;
+}
+
+function encodeBody(text, encoding, eol) {
+	if (encoding === "base64") {
+		const b64 = Buffer.from(text, "latin1").toString("base64");
+		return (b64.match(/.{1,76}/g) || []).join(eol);
+	}
+	if (encoding !== "quoted-printable") return text;
+	const hex = (c) => "=" + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0");
+	return text
+		.split(/\r?\n/)
+		.map((line) => {
+			const encoded = line.replace(/[^\t\x20-\x3c\x3e-\x7e]/g, hex).replace(/[ \t]$/, hex);
+			// soft line breaks keep lines below 77 characters, never inside an =XX
+			const out = [];
+			let rest = encoded;
+			while (rest.length > 76) {
+				let cut = 75;
+				if (rest[cut - 1] === "=") cut -= 1;
+				else if (rest[cut - 2] === "=") cut -= 2;
+				out.push(rest.slice(0, cut) + "=");
+				rest = rest.slice(cut);
+			}
+			out.push(rest);
+			return out.join(eol);
+		})
+		.join(eol);
+}
+
+// apply fn (decoded text -> text) to every text part of a message or part (latin1
+// text); base64 and quoted-printable parts are decoded first and encoded again.
+// Returns the new text, or the same string when nothing changed.
+function mapTextParts(text, fn) {
+	const msg = splitText(text);
+	if (!msg.hasBody) return text;
+	const type = header(msg, "content-type").toLowerCase() || "text/plain";
+	if (type.startsWith("multipart/")) {
+		const b = /boundary\s*=\s*(?:"([^"]+)"|([^\s;]+))/i.exec(header(msg, "content-type"));
+		if (!b) return text;
+		const boundary = (b[1] || b[2]).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		const delimiter = new RegExp(`(?:^|\\r?\\n)--${boundary}(--)?[ \\t]*(?=\\r?\\n|$)`, "g");
+		let body = "";
+		let last = 0;
+		let partStart = -1;
+		let m;
+		while ((m = delimiter.exec(msg.body))) {
+			if (partStart >= 0) {
+				// the part, without the line break that ends the delimiter line before it
+				const part = msg.body.slice(partStart, m.index);
+				const lead = /^\r?\n/.exec(part);
+				const inner = lead ? part.slice(lead[0].length) : part;
+				body += msg.body.slice(last, partStart) + (lead ? lead[0] : "") + mapTextParts(inner, fn);
+				last = m.index;
+			}
+			partStart = m[1] ? -1 : m.index + m[0].length;
+			if (m[1]) break;
+		}
+		if (!last) return text;
+		msg.body = body + msg.body.slice(last);
+		return joinText(msg);
+	}
+	if (!type.startsWith("text/") || /^attachment/i.test(header(msg, "content-disposition"))) return text;
+	const encoding = header(msg, "content-transfer-encoding").toLowerCase();
+	const decoded = decodeBody(msg.body, encoding);
+	const changed = fn(decoded);
+	if (changed === decoded) return text;
+	const encoded = encodeBody(changed, encoding, msg.eol);
+	msg.body = encoded + (/\n$/.test(msg.body) && !/\n$/.test(encoded) ? msg.eol : "");
+	return joinText(msg);
+}
+
+function decodeBytes(bytes, charset) {
+	try {
+		return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+	} catch (e) {
+		return new TextDecoder(charset).decode(bytes);
+	}
+}
+
+// RFC 5322 date in UTC: "Mon, 19 Oct 2026 17:03:00 +0000"
+function rfc2822(time) {
+	return new Date(time).toUTCString().replace(/GMT$/, "+0000");
+}
+
+function wildcard(pattern) {
+	return new RegExp("^" + pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$");
+}
+
+// --- Message transforms, applied between retrieval and import ---
+// account.transforms is an ordered list of steps, each a name or { name, ...options }:
+//   crlf           bare LF (or CR) line endings to CRLF
+//   headers_8bit   raw 8-bit header values to RFC 2047 encoded words; UTF-8 when the
+//                  bytes are valid UTF-8, else `charset` (default windows-1252)
+//   repair_date    a missing, unparsable or implausible Date from the newest Received header
+//   stamp          X-POP3-Account, X-Imported-At and Delivered-To (`delivered_to`,
+//                  default the account username; false leaves it out)
+//   strip_headers  remove the `headers` listed (names, `*` as wildcard)
+//   strip_banner   remove `text` or every match of `pattern` (a regex) from the text
+//                  parts, decoded from base64 or quoted-printable and encoded again
+// Only the message sent to Gmail is changed; the journal, the archive, rules and
+// filters see the message as retrieved.
+
+const STEPS = {
+	crlf() {
+		return (raw) => Buffer.from(raw.toString("latin1").replace(/\r\n|\r|\n/g, "\r\n"), "latin1");
+	},
+
+	headers_8bit(options) {
+		const charset = options.charset || "windows-1252";
+		new TextDecoder(charset); // throws for an unknown charset
+		return (raw) => {
+			const msg = split(raw);
+			msg.fields = msg.fields.map((field) => {
+				if (!/[\x80-\xff]/.test(field) || !field.includes(":")) return field;
+				const name = field.slice(0, field.indexOf(":"));
+				const value = decodeBytes(Buffer.from(fieldValue(field), "latin1"), charset);
+				return `${name}: ${encodeValue(value)}`;
+			});
+			return join(msg);
+		};
+	},
+
+	repair_date() {
+		return (raw) => {
+			const msg = split(raw);
+			const dateField = msg.fields.find((f) => fieldName(f) === "date");
+			// the newest Received comes first, its date follows the last ";"
+			let received = null;
+			for (const f of msg.fields.filter((f) => fieldName(f) === "received")) {
+				const v = fieldValue(f);
+				const t = Date.parse(v.slice(v.lastIndexOf(";") + 1));
+				if (v.includes(";") && !isNaN(t)) {
+					received = t;
+					break;
+				}
+			}
+			const date = dateField ? Date.parse(fieldValue(dateField)) : NaN;
+			const plausible = !isNaN(date) && date >= MIN_DATE && date <= (received || Date.now()) + DAY;
+			if (plausible || received === null) return raw;
+			// keep the broken one for reference
+			msg.fields = msg.fields.map((f) => (f === dateField ? "X-Original-Date:" + f.slice(f.indexOf(":") + 1) : f));
+			msg.fields.push(`Date: ${rfc2822(received)}`);
+			return join(msg);
+		};
+	},
+
+	stamp(options) {
+		return (raw, context) => {
+			const deliveredTo = options.delivered_to === false ? null : options.delivered_to || context.account.username;
+			const added = [`X-POP3-Account: ${encodeValue(context.account.name)}`, `X-Imported-At: ${rfc2822(Date.now())}`];
+			if (deliveredTo && deliveredTo.includes("@")) added.push(`Delivered-To: ${deliveredTo}`);
+			return prependHeaders(raw, added);
+		};
+	},
+
+	strip_headers(options) {
+		if (!Array.isArray(options.headers) || !options.headers.length) throw new Error("strip_headers needs a list of headers");
+		const patterns = options.headers.map(wildcard);
+		return (raw) => {
+			const msg = split(raw);
+			msg.fields = msg.fields.filter((f) => !patterns.some((p) => p.test(fieldName(f))));
+			return join(msg);
+		};
+	},
+
+	strip_banner(options) {
+		if (!options.text === !options.pattern) throw new Error("strip_banner needs either text or pattern");
+		// decoded text parts are matched byte for byte: text as UTF-8, patterns should
+		// stick to ASCII
+		const re = options.text
+			? new RegExp(Buffer.from(options.text, "utf8").toString("latin1").replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\r?\n/g, "\\r?\\n"), "g")
+			: new RegExp(options.pattern, "g");
+		return (raw) => {
+			const text = raw.toString("latin1");
+			const stripped = mapTextParts(text, (body) => body.replace(re, ""));
+			return stripped === text ? raw : Buffer.from(stripped, "latin1");
+		};
+	},
+};
+
+// list of steps from the config to functions (raw, context) -> raw; throws on invalid steps
+function compileTransforms(list) {
+	if (!list) return [];
+	if (!Array.isArray(list)) throw new Error("transforms must be a list");
+	return list.map((step, i) => {
+		const options = typeof step === "string" ? { name: step } : step || {};
+		const make = STEPS[options.name];
+		if (!make) throw new Error(`transform ${i + 1}: unknown transform "${options.name}", expected one of ${Object.keys(STEPS).join(", ")}`);
+		try {
+			return make(options);
+		} catch (err) {
+			throw new Error(`transform ${i + 1} (${options.name}): ${err.message}`);
+		}
+	});
+}
+
+// context: { account }
+function applyTransforms(transforms, raw, context) {
+	return transforms.reduce((buf, step) => step(buf, context), raw);
+}
+
+module.exports = {
+	TRANSFORMS: Object.keys(STEPS),
+	compileTransforms,
+	applyTransforms,
+	prependHeaders,
+};
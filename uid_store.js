@@ -0,0 +1,177 @@
+const { existsSync, readFileSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync } = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_FILE = process.env.UID_FILE || path.join(__dirname, "uids.json");
+// fold the journal into the snapshot after this many changes
+const COMPACT_EVERY = 500;
+
+function ensureDir(dir) {
+	try {
+		if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+	} catch (e) {
+		// ignore
+	}
+}
+
+// UIDLs are arbitrary server strings ("constructor", "__proto__"), so the maps
+// have no prototype
+function dict(obj) {
+	return Object.assign(Object.create(null), obj);
+}
+
+// Keeps the POP3 UIDs (UIDL) that were already imported per account, so
+// accounts running with leave_on_server only fetch new messages; IMAP accounts
+// with delete_after_days keep their message keys here with the import time.
+// Like the stats store: a snapshot (`uid_file`, { updatedAt, accounts }) and an
+// append-only journal next to it (`<uid_file>.journal`, one JSON change
+// { op: add|remove, account, uid, time } per line, fsync'ed). Changes are
+// idempotent, so replaying a journal that was already folded into the snapshot
+// is harmless. The snapshot is replaced atomically (write to .tmp, fsync, rename).
+class UidStore {
+	constructor(filePath) {
+		this.filePath = filePath || DEFAULT_FILE;
+		this.journalPath = this.filePath + ".journal";
+		this.loadError = null;
+		ensureDir(path.dirname(this.filePath));
+		this._data = { updatedAt: Date.now(), accounts: dict() };
+		this._loadSnapshot();
+		this._replay();
+		this._compact();
+	}
+
+	_loadSnapshot() {
+		if (!existsSync(this.filePath)) return;
+		let raw;
+		try {
+			raw = JSON.parse(readFileSync(this.filePath, "utf8") || "{}");
+		} catch (e) {
+			// keep the broken file for inspection instead of silently losing it
+			const aside = `${this.filePath}.corrupt-${Date.now()}`;
+			renameSync(this.filePath, aside);
+			this.loadError = `UID file ${this.filePath} is unreadable (${e.message}), moved to ${aside}`;
+			return;
+		}
+		this._data.updatedAt = raw.updatedAt || Date.now();
+		for (const [name, acc] of Object.entries(raw.accounts || {})) this._data.accounts[name] = dict(acc);
+	}
+
+	_replay() {
+		if (!existsSync(this.journalPath)) return;
+		const lines = readFileSync(this.journalPath, "utf8").split("\n");
+		let error = null;
+		for (let i = 0; i < lines.length; i++) {
+			if (!lines[i].trim()) continue;
+			let ev;
+			try {
+				ev = JSON.parse(lines[i]);
+			} catch (e) {
+				// a torn last line after a crash has no newline yet, skip it
+				if (i < lines.length - 1) error = error || e;
+				continue;
+			}
+			this._apply(ev);
+		}
+		if (!error) return;
+		// compacting would overwrite it, keep it for inspection like the snapshot
+		const aside = `${this.journalPath}.corrupt-${Date.now()}`;
+		renameSync(this.journalPath, aside);
+		const message = `UID journal ${this.journalPath} is unreadable (${error.message}), moved to ${aside}`;
+		this.loadError = this.loadError ? `${this.loadError}; ${message}` : message;
+	}
+
+	_apply(ev) {
+		if (ev.op === "add") this._ensureAccount(ev.account)[ev.uid] = { imported_at: ev.time };
+		else if (ev.op === "remove" && this._data.accounts[ev.account]) delete this._data.accounts[ev.account][ev.uid];
+		this._data.updatedAt = ev.time;
+	}
+
+	// write the snapshot atomically, then start an empty journal
+	_compact() {
+		if (this._fd !== undefined) closeSync(this._fd);
+		const tmp = this.filePath + ".tmp";
+		const fd = openSync(tmp, "w");
+		try {
+			writeSync(fd, JSON.stringify(this._data));
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tmp, this.filePath);
+		this._fd = openSync(this.journalPath, "w");
+		this._pending = 0;
+	}
+
+	_record(ev) {
+		writeSync(this._fd, JSON.stringify(ev) + "\n");
+		fsyncSync(this._fd);
+		this._apply(ev);
+		if (++this._pending >= COMPACT_EVERY) this._compact();
+	}
+
+	_ensureAccount(name) {
+		if (!this._data.accounts[name]) this._data.accounts[name] = dict();
+		return this._data.accounts[name];
+	}
+
+	has(accountName, uid) {
+		const acc = this._data.accounts[accountName];
+		return !!(acc && acc[uid]);
+	}
+
+	get(accountName, uid) {
+		const acc = this._data.accounts[accountName];
+		return (acc && acc[uid]) || null;
+	}
+
+	// record that the message with this UID was imported
+	add(accountName, uid, ts) {
+		this._record({ op: "add", account: accountName, uid, time: ts || Date.now() });
+	}
+
+	remove(accountName, uid) {
+		const acc = this._data.accounts[accountName];
+		if (!acc || !acc[uid]) return;
+		this._record({ op: "remove", account: accountName, uid, time: Date.now() });
+	}
+
+	// forget UIDs that are no longer present on the server; returns the number removed
+	prune(accountName, presentUids) {
+		const acc = this._data.accounts[accountName];
+		if (!acc) return 0;
+		const present = new Set(presentUids);
+		let removed = 0;
+		for (const uid of Object.keys(acc)) {
+			if (!present.has(uid)) {
+				delete acc[uid];
+				removed++;
+			}
+		}
+		// one snapshot instead of a journal line per UID
+		if (removed) {
+			this._data.updatedAt = Date.now();
+			this._compact();
+		}
+		return removed;
+	}
+
+	// [[uid, { imported_at }]] of an account
+	entries(accountName) {
+		return Object.entries(this._data.accounts[accountName] || {});
+	}
+
+	count(accountName) {
+		const acc = this._data.accounts[accountName];
+		return acc ? Object.keys(acc).length : 0;
+	}
+
+	close() {
+		try {
+			this._compact();
+			closeSync(this._fd);
+		} catch (e) {
+			// ignore
+		}
+	}
+}
+
+module.exports = { UidStore };